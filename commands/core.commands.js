@@ -0,0 +1,118 @@
+const commandConfig = require('../config/command.config');
+const roleService = require('../services/role.service');
+const feedbackService = require('../services/feedback.service');
+
+/**
+ * Built-in chat commands
+ */
+module.exports = [
+  {
+    name: 'help',
+    description: '列出可以使用的指令',
+    handler: (args, context) => {
+      const lines = context.commands.map(command =>
+        `${command.usage}\n  ${command.description}${command.permission === 'admin' ? '（管理員）' : ''}`);
+      return `📖 可以使用的指令：\n\n${lines.join('\n')}`;
+    }
+  },
+  {
+    name: 'showid',
+    description: '顯示這個對話的 ID，方便在管理後台設定角色',
+    handler: (args, context) => {
+      if (context.channel !== 'line') {
+        return `📋 Session ID:\n${context.sessionId || '(new session)'}\n\n🤖 Role: ${context.roleConfig.roleId}`;
+      }
+
+      let idInfo = `📋 LINE IDs Information\n\n`;
+      if (context.destination) {
+        idInfo += `🤖 Bot ID (Destination):\n${context.destination}\n\n`;
+      }
+      idInfo += `👤 User ID:\n${context.userId}\n`;
+      if (context.groupId) {
+        idInfo += `\n👥 Group ID:\n${context.groupId}`;
+      } else {
+        idInfo += `\n(This is a direct message, no Group ID)`;
+      }
+      idInfo += `\n\n💡 Tip: Use these IDs in the Admin Dashboard to assign specific AI roles!`;
+      return idInfo;
+    }
+  },
+  {
+    name: 'reset',
+    description: '清除對話紀錄，重新開始',
+    handler: (args, context) => {
+      context.resetConversation();
+      return '🧹 已清除對話紀錄，我們重新開始吧！';
+    }
+  },
+  {
+    name: 'role',
+    description: '查看可以切換的角色，或切換到指定角色',
+    usage: '/role [角色ID]',
+    handler: (args, context) => {
+      const roles = roleService.listSwitchableRoles(context.isAdmin);
+
+      if (args.length === 0) {
+        const lines = roles.map(role =>
+          `${role.roleId === context.roleConfig.roleId ? '👉' : '・'} ${role.roleId}：${role.name}`);
+        return `目前的角色：${context.roleConfig.name}\n\n可以切換的角色：\n${lines.join('\n')}\n\n輸入 /role 角色ID 即可切換`;
+      }
+
+      const role = roles.find(candidate => candidate.roleId === args[0]);
+      if (!role) {
+        return `找不到可以切換的角色「${args[0]}」，輸入 /role 查看清單。`;
+      }
+      if (!context.switchRole(role.roleId)) {
+        return '切換角色失敗，請稍後再試。';
+      }
+      return `已為您切換至「${role.name}」，請問有什麼可以幫您？`;
+    }
+  },
+  {
+    name: 'lang',
+    description: '設定回覆語言（auto 表示跟隨 LINE 的語言設定）',
+    usage: '/lang [語言代碼|auto]',
+    handler: (args, context) => {
+      const languages = commandConfig.languages;
+      const list = Object.keys(languages).map(code => `・${code}：${languages[code]}`).join('\n');
+
+      if (args.length === 0) {
+        const current = context.language ? `${languages[context.language] || context.language}（${context.language}）` : '自動';
+        return `目前的回覆語言：${current}\n\n可以設定的語言：\n${list}\n・auto：自動`;
+      }
+
+      if (args[0].toLowerCase() === 'auto') {
+        context.setLanguage(null);
+        return '已改為自動判斷回覆語言。';
+      }
+
+      const code = Object.keys(languages).find(candidate => candidate.toLowerCase() === args[0].toLowerCase());
+      if (!code) {
+        return `不支援的語言「${args[0]}」，可以設定的語言：\n${list}`;
+      }
+      context.setLanguage(code);
+      return `已將回覆語言設定為 ${languages[code]}。`;
+    }
+  },
+  {
+    name: 'feedback',
+    description: '留下意見給我們',
+    usage: '/feedback 意見內容',
+    handler: (args, context) => {
+      const text = context.argText;
+      if (!text) {
+        return '請在指令後面輸入您的意見，例如：/feedback 回覆速度很快，謝謝！';
+      }
+
+      feedbackService.record({
+        channel: context.channel,
+        userId: context.userId,
+        groupId: context.groupId,
+        sessionId: context.sessionId,
+        roleId: context.roleConfig.roleId,
+        text: text.slice(0, commandConfig.feedbackMaxLength)
+      });
+      return '🙏 感謝您的意見，我們已經收到了！';
+    }
+  }
+];
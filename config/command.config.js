@@ -0,0 +1,27 @@
+require('dotenv').config();
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// In-chat slash commands (services/command.service.js), for LINE and the web chat
+const commandConfig = {
+  // LINE user IDs allowed to run admin commands
+  adminUserIds: splitList(process.env.COMMAND_ADMIN_USER_IDS),
+
+  // Roles anyone may switch to with /role; empty allows every role. Admins may pick any role.
+  switchableRoles: splitList(process.env.COMMAND_SWITCHABLE_ROLES),
+
+  // Reply languages accepted by /lang (LINE language codes)
+  languages: {
+    'zh-TW': '繁體中文',
+    'zh-CN': '简体中文',
+    en: 'English',
+    ja: '日本語',
+    ko: '한국어',
+    th: 'ไทย',
+    id: 'Bahasa Indonesia'
+  },
+
+  feedbackMaxLength: 1000
+};
+
+module.exports = commandConfig;
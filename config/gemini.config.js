@@ -18,6 +18,37 @@ const geminiConfig = {
     maxOutputTokens: 8192,
   },
 
+  // Chat history context window management
+  contextWindow: {
+    // Prompt token budget per model; older turns are dropped once exceeded
+    budgets: {
+      default: parseInt(process.env.CONTEXT_TOKEN_BUDGET) || 32000,
+      'gemini-2.0-flash-exp': parseInt(process.env.CONTEXT_TOKEN_BUDGET) || 32000,
+      'gemini-1.5-pro': 64000,
+      'gemini-1.5-flash': 32000
+    },
+    // 'local' estimates tokens offline, 'api' calibrates with the SDK's countTokens
+    tokenCounter: process.env.TOKEN_COUNTER || 'local'
+  },
+
+  // Rolling conversation summary defaults (roles can override in data/line-config.json)
+  summarization: {
+    enabled: false,
+    maxTurns: 20, // Summarize once this many user turns are unsummarized
+    keepRecentTurns: 6, // Most recent turns kept verbatim
+    maxSummaryTokens: 1024,
+    prompt: '請將以下對話整理成簡潔的摘要，保留使用者的需求、重要事實、已提供的資訊與尚未解決的問題。請用繁體中文，以條列方式輸出，不要加入對話中沒有的內容。'
+  },
+
+  // Added to the system instruction when the user's language is known
+  // (LINE profile language, or the one picked with /lang)
+  languageInstruction: '使用者的語言設定為「{language}」。除非使用者用其他語言發問，請使用這個語言回覆。',
+
+  // Server-side tool calling
+  tools: {
+    maxSteps: 5 // Maximum tool call rounds before the model must answer
+  },
+
   // Safety settings
   safetySettings: [
     {
@@ -50,10 +81,39 @@ const geminiConfig = {
       'video/mpeg',
       'video/mov',
       'video/avi',
+      'audio/mp4',
+      'audio/mpeg',
+      'audio/wav',
+      'audio/aac',
+      'audio/ogg',
       'application/pdf'
     ]
   },
 
+  // Image understanding for LINE image messages
+  vision: {
+    // Used when a role does not define its own visionPrompt
+    defaultPrompt: '請用繁體中文描述這張圖片的內容。如果圖片中有文字，請一併整理出來；如果看起來是使用者想詢問的問題（例如錯誤畫面或產品照片），請說明你看到的重點並提供協助。',
+    // Stored as the user turn in the session so follow-up questions have context
+    sessionPlaceholder: '[使用者傳送了一張圖片]'
+  },
+
+  // Audio and video messages from LINE, sent to Gemini as inline parts
+  media: {
+    // Gemini rejects inline requests over 20MB, so keep a margin for the prompt and history
+    maxInlineSize: parseInt(process.env.MEDIA_MAX_INLINE_SIZE) || 15728640, // 15MB
+    // LINE serves voice notes as m4a and videos as mp4
+    mimeTypes: {
+      audio: 'audio/mp4',
+      video: 'video/mp4'
+    },
+    audioPrompt: '使用者傳送了一段語音訊息（如附件）。請先將語音逐字轉錄，再依照你的角色回覆使用者的內容。請嚴格使用以下格式輸出：\n轉錄：<語音的逐字內容>\n回覆：<你的回覆>',
+    videoPrompt: '使用者傳送了一段影片（如附件）。請理解影片的畫面與聲音內容，並依照你的角色回覆使用者。',
+    audioPlaceholder: '[使用者傳送了一段語音訊息]',
+    videoPlaceholder: '[使用者傳送了一段影片]',
+    tooLargeText: '抱歉，這個檔案太大了，我目前無法處理 🙏 請傳送較短的語音或影片，或直接用文字告訴我您的問題。'
+  },
+
   // Rate limiting
   rateLimit: {
     windowMs: (parseInt(process.env.RATE_LIMIT_WINDOW) || 15) * 60 * 1000,
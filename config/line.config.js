@@ -1,6 +1,7 @@
 require('dotenv').config();
 
-// Configuration for multiple LINE bots
+// LINE bots from .env. These only seed data/bots.json on first run;
+// after that bots are managed from the admin dashboard (services/bot-registry.service.js)
 const bots = {
   // First bot (existing)
   bot1: {
@@ -20,33 +21,146 @@ const lineConfig = {
   channelSecret: process.env.LINE_CHANNEL_SECRET,
 };
 
-// Map destination (bot user ID) to bot configuration
-// You'll need to fill in the actual bot user IDs from LINE
-const destinationToBotMap = {
-  // Format: 'bot_user_id': 'bot1' or 'bot2'
-  // Example: 'Udeadbeef1234567890': 'bot1',
-  // Get bot IDs using /showid command in LINE chat
+// Default handling of non-message webhook events.
+// Roles override any of these in the `events` block of data/line-config.json.
+const eventDefaults = {
+  // Welcome message when a user adds the bot as a friend
+  follow: {
+    enabled: true,
+    message: '感謝您加入好友！😊 有任何問題都可以直接傳訊息給我。'
+  },
+  // User blocked the bot: drop their conversation session. Dropping the role mapping an
+  // admin assigned is opt-in, so a user who adds the bot back keeps their role
+  unfollow: {
+    clearSession: true,
+    clearRoleMapping: false
+  },
+  // Greeting when the bot is invited into a group or room
+  join: {
+    enabled: true,
+    message: '大家好！很高興加入這個群組，有任何問題都可以問我。'
+  },
+  // Bot was removed from a group or room: drop the group session (and, opt-in, the role mapping)
+  leave: {
+    clearSession: true,
+    clearRoleMapping: false
+  },
+  // Greeting when new members join a group the bot is in
+  memberJoined: {
+    enabled: false,
+    message: '歡迎新成員加入！👋'
+  },
+  // Replies keyed by postback data; defaultReply is used for unknown data (empty = no reply)
+  postback: {
+    enabled: true,
+    replies: {},
+    defaultReply: ''
+  }
 };
 
-// Get bot config by destination ID
-function getBotConfig(destination) {
-  const botKey = destinationToBotMap[destination];
-  if (botKey && bots[botKey]) {
-    return bots[botKey];
-  }
-  // Fallback to first bot config
-  return bots.bot1;
-}
+// Structured replies for roles with `richReplies: true`.
+// The instruction is sent as Gemini's system instruction; the JSON it describes
+// is turned into Flex Messages and quick-reply chips by utils/line-message.util.js.
+const richReplies = {
+  instruction: [
+    '當回覆適合用卡片、按鈕或快速回覆選項呈現時（例如列出服務方案、提供連結或讓使用者選擇下一步），請只輸出一個 JSON 物件，不要加入其他文字：',
+    '{"text": "完整的文字回覆（必填）", "cards": [{"title": "標題", "text": "說明", "imageUrl": "https://...", "buttons": [{"type": "uri", "label": "按鈕文字", "uri": "https://..."}, {"type": "message", "label": "按鈕文字", "text": "使用者點擊後送出的文字"}]}], "quickReplies": [{"label": "選項", "text": "使用者點擊後送出的文字"}]}',
+    'cards 最多 12 張，每張最多 4 個按鈕；quickReplies 最多 13 個，label 不超過 20 個字。cards 與 quickReplies 都可以省略。',
+    '一般的問答請直接用純文字回覆，不要輸出 JSON。'
+  ].join('\n'),
+  // Sent when a structured reply is malformed and has no readable `text` field
+  invalidReplyText: '抱歉，我剛剛的回覆出了點問題，請再問我一次。'
+};
+
+// Webhook redelivery handling: processed webhookEventIds are remembered this long
+// so events LINE delivers again are skipped instead of answered twice
+const dedupe = {
+  ttl: parseInt(process.env.LINE_DEDUPE_TTL) || 24 * 60 * 60 * 1000 // 24 hours
+};
+
+// Reply delivery: LINE reply tokens expire shortly after the event, so replies to
+// older events (e.g. slow Gemini answers or queue retries) are sent with push instead
+const delivery = {
+  replyTokenMaxAge: parseInt(process.env.LINE_REPLY_TOKEN_MAX_AGE) || 50 * 1000, // 50 seconds
+  // Chat loading animation shown while Gemini is generating (1:1 chats only).
+  // LINE accepts 5-60 seconds in steps of 5; it disappears as soon as the reply arrives.
+  loadingAnimation: process.env.LINE_LOADING_ANIMATION !== 'false',
+  loadingSeconds: parseInt(process.env.LINE_LOADING_SECONDS) || 20,
+  // Sent when Gemini's answer is empty, since LINE rejects a reply without messages
+  emptyReplyText: '抱歉，我剛剛沒有想到合適的回覆，可以換個方式再問我一次嗎？'
+};
 
-// Get all bot configs as array
-function getAllBotConfigs() {
-  return Object.values(bots).filter(bot => bot.channelSecret && bot.channelAccessToken);
-}
+// Rich menus managed from the admin dashboard.
+// Postback data `action=switchRole&roleId=<roleId>` lets users pick their own role;
+// {role} in the reply is replaced with the role's name.
+const richMenu = {
+  switchRoleReply: '已為您切換至「{role}」，請問有什麼可以幫您？',
+  unknownRoleReply: '抱歉，這個選項目前無法使用，請稍後再試。',
+  imageMaxSize: 1024 * 1024, // LINE limit: 1 MB
+  imageMimeTypes: ['image/jpeg', 'image/png']
+};
+
+// Push campaigns sent from the admin dashboard
+const campaigns = {
+  throttleMs: parseInt(process.env.LINE_CAMPAIGN_THROTTLE_MS) || 200, // Pause between LINE API calls
+  multicastBatchSize: 500, // LINE limit per multicast request
+  // System instruction when Gemini drafts a campaign message in a role's voice
+  draftInstruction: '你正在撰寫一則要主動推播給 LINE 使用者的訊息，而不是在回覆對話。請依照管理員的需求，用你的角色口吻寫出完整訊息，只輸出訊息內容本身，不要加入說明、標題或引號，長度控制在 500 字以內。'
+};
+
+// Contact directory: LINE profiles and group summaries are cached and refetched after refreshAfter
+const contacts = {
+  refreshAfter: (parseInt(process.env.LINE_CONTACT_REFRESH_HOURS) || 7 * 24) * 60 * 60 * 1000 // 7 days
+};
+
+// Group chats: when the bot replies (per-group policies live next to groupRoleMapping in
+// data/line-config.json) and how much of the unaddressed chat it keeps as context
+const groupReplies = {
+  modes: ['always', 'mention', 'keyword', 'never'],
+  defaultMode: process.env.LINE_GROUP_REPLY_MODE || 'always',
+  contextMessages: parseInt(process.env.LINE_GROUP_CONTEXT_MESSAGES) || 20,
+  contextMaxAge: (parseInt(process.env.LINE_GROUP_CONTEXT_MINUTES) || 60) * 60 * 1000,
+  // Added to Gemini's system instruction, followed by the recent messages
+  contextInstruction: '以下是群組中最近、沒有直接對你說的訊息，僅供理解對話脈絡。請只回覆使用者這次對你說的內容：'
+};
+
+// Human handoff (opt-in): a conversation switches to staff (admin dashboard Live Chat) when
+// the customer asks for a person or Gemini starts its reply with the marker
+const handoff = {
+  enabled: process.env.LINE_HANDOFF_ENABLED === 'true',
+  // A message asks for a person when, ignoring punctuation and spaces, it is one of these.
+  // Keywords in Latin script also match as whole words inside a longer message.
+  keywords: process.env.LINE_HANDOFF_KEYWORDS
+    ? process.env.LINE_HANDOFF_KEYWORDS.split(',').map(keyword => keyword.trim()).filter(Boolean)
+    : ['轉人工', '我要轉人工', '真人客服', '找真人', '人工客服', '轉接客服', '專人服務', 'human agent', 'talk to a human'],
+  // Without a staff reply for this long, the conversation goes back to the AI
+  idleTimeout: (parseInt(process.env.LINE_HANDOFF_IDLE_MINUTES) || 30) * 60 * 1000,
+  marker: '[HANDOFF]',
+  // Added to Gemini's system instruction so it can ask for a person when it isn't confident
+  instruction: '如果你沒有把握正確回答、使用者的問題需要人工處理（例如退款、客訴、帳務），或使用者明確要求真人服務，請在回覆的最前面加上 [HANDOFF]，並簡短告知使用者將由專人協助。',
+  startReply: '好的，已為您轉接專人服務，請稍候，客服人員會盡快回覆您。',
+  // Pushed when staff hand the chat back to the AI (empty to skip; pushes count against the quota)
+  releaseReply: '專人服務已結束，接下來由 AI 助理繼續為您服務。如需再次轉接真人，請直接告訴我。'
+};
+
+// Rate limit for the per-bot webhook endpoint (/line/webhook/:botKey), counted per bot.
+// A bot's own `rateLimit` in the registry overrides max.
+const webhookRateLimit = {
+  windowMs: (parseInt(process.env.LINE_WEBHOOK_RATE_WINDOW) || 1) * 60 * 1000,
+  max: parseInt(process.env.LINE_WEBHOOK_RATE_MAX) || 600
+};
 
 module.exports = {
   ...lineConfig, // Legacy export
   bots,
-  getBotConfig,
-  getAllBotConfigs,
-  destinationToBotMap
+  eventDefaults,
+  richReplies,
+  dedupe,
+  delivery,
+  webhookRateLimit,
+  richMenu,
+  campaigns,
+  contacts,
+  groupReplies,
+  handoff
 };
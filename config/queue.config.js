@@ -0,0 +1,25 @@
+require('dotenv').config();
+
+const queueConfig = {
+  // Storage adapter for queued jobs and dead letters. Defaults to 'file' so
+  // jobs accepted from LINE survive a restart even when sessions are kept in memory.
+  adapter: process.env.QUEUE_STORAGE || 'file',
+
+  // Number of jobs processed at the same time (jobs of one conversation always run in order)
+  concurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 2,
+
+  // How often idle workers look for due jobs
+  pollInterval: parseInt(process.env.QUEUE_POLL_INTERVAL) || 500,
+
+  // Attempts per job before it is moved to the dead-letter list
+  maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 3,
+
+  // Exponential backoff between attempts: backoffBase * 2^(attempt - 1), capped at backoffMax
+  backoffBase: parseInt(process.env.QUEUE_BACKOFF_BASE) || 2000,
+  backoffMax: parseInt(process.env.QUEUE_BACKOFF_MAX) || 60000,
+
+  // Dead letters kept for the admin dashboard (oldest are dropped first)
+  maxDeadLetters: parseInt(process.env.QUEUE_MAX_DEAD_LETTERS) || 200
+};
+
+module.exports = queueConfig;
@@ -0,0 +1,21 @@
+require('dotenv').config();
+const path = require('path');
+
+const storageConfig = {
+  // Storage adapter used by SessionService and other persistent stores
+  // 'file'   - JSON-lines append log on disk (survives restarts)
+  // 'memory' - in-process Map (data is lost on restart)
+  adapter: process.env.SESSION_STORAGE || 'file',
+
+  // Directory holding the JSON-lines files for the 'file' adapter
+  dataDir: process.env.SESSION_STORAGE_DIR || path.join(__dirname, '..', 'data', 'store'),
+
+  // Rewrite a store file once it holds this many stale log lines
+  compactThreshold: parseInt(process.env.SESSION_STORAGE_COMPACT_THRESHOLD) || 500,
+
+  // ...or once the bytes appended since the last rewrite exceed the rewritten file's size
+  // (and at least this many bytes)
+  compactMinBytes: (parseInt(process.env.SESSION_STORAGE_COMPACT_MIN_KB) || 1024) * 1024
+};
+
+module.exports = storageConfig;
@@ -1,5 +1,12 @@
 const geminiService = require('../services/gemini.service');
 const sessionService = require('../services/session.service');
+const summaryService = require('../services/summary.service');
+const roleService = require('../services/role.service');
+const contextService = require('../services/context.service');
+const toolService = require('../services/tool.service');
+const commandService = require('../services/command.service');
+const geminiConfig = require('../config/gemini.config');
+const { createEventStream } = require('../utils/sse.util');
 const { successResponse, errorResponse } = require('../utils/response.util');
 const logger = require('../utils/logger.util');
 
@@ -30,36 +37,135 @@ const generate = async (req, res, next) => {
 };
 
 /**
- * Chat conversation
+ * Merge new messages into the session (creating one if needed) and
+ * build the context to send to Gemini
+ * @returns {object} { sessionId, context, systemInstruction }
  */
-const chat = async (req, res, next) => {
-  try {
-    let { messages, model, sessionId } = req.body;
+const prepareChatSession = async (sessionId, messages) => {
+  // Create or retrieve session
+  if (!sessionId) {
+    sessionId = sessionService.createSession();
+    logger.info('New session created', { sessionId });
+  }
+
+  // Get existing messages if session exists
+  const existingMessages = sessionService.getMessages(sessionId);
+  if (existingMessages && existingMessages.length > 0) {
+    // Merge existing messages with new ones
+    messages = [...existingMessages, ...messages];
+  }
+
+  // Store the new messages, then summarize older turns if the session's role enables it
+  const session = sessionService.updateSession(sessionId, messages);
+  const roleConfig = roleService.getRoleConfig(session.roleId);
+  const pinnedCount = session.pinnedCount || 0;
+  await summaryService.summarizeIfNeeded(sessionId, roleConfig, { pinnedCount });
+  const context = summaryService.buildContext(sessionService.getSession(sessionId), pinnedCount);
+
+  // Reply language picked with /lang
+  const systemInstruction = session.language
+    ? geminiConfig.languageInstruction.replace('{language}', session.language)
+    : undefined;
+
+  return { sessionId, context, systemInstruction };
+};
+
+/**
+ * Run the last message as a slash command (/help, /reset, ...) instead of sending it to Gemini.
+ * Commands are not added to the conversation history.
+ * @returns {object|null} { command, reply, sessionId }, or null if the message isn't a command
+ */
+const runChatCommand = async (sessionId, messages) => {
+  const lastMessage = messages[messages.length - 1];
+  const command = lastMessage.role === 'user' ? commandService.parse(lastMessage.content) : null;
+  if (!command) {
+    return null;
+  }
 
-    logger.info('Chat request', { sessionId, messageCount: messages.length });
+  let session = sessionId ? sessionService.getSession(sessionId) : null;
+  if (!session) {
+    sessionId = sessionService.createSession(roleService.getDefaultRole());
+    session = sessionService.getSession(sessionId);
+  }
+  const roleConfig = roleService.getRoleConfig(session.roleId);
 
-    // Create or retrieve session
-    if (!sessionId) {
-      sessionId = sessionService.createSession();
-      logger.info('New session created', { sessionId });
+  // Start over in a new session, keeping the reply language
+  const startSession = (roleId, systemPrompt) => {
+    sessionId = sessionService.createSession(roleId, systemPrompt);
+    if (session.language) {
+      sessionService.setLanguage(sessionId, session.language);
     }
+  };
+
+  logger.info('Chat command', { sessionId, command: command.name });
+
+  const reply = await commandService.execute(command, {
+    channel: 'web',
+    userId: null,
+    groupId: null,
+    destination: null,
+    sessionId,
+    roleConfig,
+    language: session.language || null,
+    resetConversation: () => {
+      sessionService.deleteSession(sessionId);
+      startSession(session.roleId, session.pinnedCount ? roleConfig.systemPrompt : null);
+    },
+    switchRole: (roleId) => {
+      startSession(roleId, roleService.getRoleConfig(roleId).systemPrompt);
+      return true;
+    },
+    setLanguage: (language) => sessionService.setLanguage(sessionId, language)
+  });
+
+  return { command: command.name, reply, sessionId };
+};
 
-    // Get existing messages if session exists
-    const existingMessages = sessionService.getMessages(sessionId);
-    if (existingMessages && existingMessages.length > 0) {
-      // Merge existing messages with new ones
-      messages = [...existingMessages, ...messages];
+/**
+ * Estimate token usage locally (used when the stream was cut short
+ * and the API never reported final usage)
+ */
+const estimateStreamUsage = (promptMessages, output) => {
+  const prompt = contextService.estimateMessageTokens(promptMessages);
+  const completion = contextService.estimateTokens(output);
+  return { prompt, completion, total: prompt + completion, estimated: true };
+};
+
+/**
+ * Chat conversation
+ */
+const chat = async (req, res, next) => {
+  try {
+    const { messages, model } = req.body;
+
+    logger.info('Chat request', { sessionId: req.body.sessionId, messageCount: messages.length });
+
+    const commandResult = await runChatCommand(req.body.sessionId, messages);
+    if (commandResult) {
+      return successResponse(res, {
+        reply: commandResult.reply,
+        conversationHistory: sessionService.getMessages(commandResult.sessionId),
+        sessionId: commandResult.sessionId,
+        command: commandResult.command
+      });
     }
 
-    const result = await geminiService.chat(messages, { model });
+    const { sessionId, context, systemInstruction } = await prepareChatSession(req.body.sessionId, messages);
+
+    const result = await geminiService.chat(context.messages, {
+      model,
+      pinnedCount: context.pinnedCount,
+      systemInstruction
+    });
 
-    // Update session with conversation history
-    sessionService.updateSession(sessionId, result.conversationHistory);
+    // Update session with the full conversation history
+    const conversationHistory = sessionService.addMessage(sessionId, 'model', result.reply).messages;
 
     logger.info('Chat successful', { sessionId });
 
     return successResponse(res, {
-      ...result,
+      reply: result.reply,
+      conversationHistory,
       sessionId
     });
   } catch (error) {
@@ -68,6 +174,89 @@ const chat = async (req, res, next) => {
   }
 };
 
+/**
+ * Chat conversation with a streamed (SSE) reply
+ */
+const chatStream = async (req, res, next) => {
+  let sessionId;
+  let context;
+  let systemInstruction;
+  let commandResult;
+
+  try {
+    const { messages } = req.body;
+
+    logger.info('Chat stream request', { sessionId: req.body.sessionId, messageCount: messages.length });
+
+    commandResult = await runChatCommand(req.body.sessionId, messages);
+    if (!commandResult) {
+      ({ sessionId, context, systemInstruction } = await prepareChatSession(req.body.sessionId, messages));
+    }
+  } catch (error) {
+    logger.error('Chat stream failed', { error: error.message });
+    return next(error);
+  }
+
+  const sse = createEventStream(res);
+
+  // A command reply is sent as a single chunk
+  if (commandResult) {
+    sse.send('session', { sessionId: commandResult.sessionId });
+    sse.send('chunk', { chunk: commandResult.reply });
+    sse.send('done', { sessionId: commandResult.sessionId, command: commandResult.command });
+    sse.end();
+    return;
+  }
+
+  let reply = '';
+  let usage = null;
+
+  // Let the client know its session before the reply starts
+  sse.send('session', { sessionId });
+
+  try {
+    const streamGenerator = geminiService.chatStream(context.messages, {
+      model: req.body.model,
+      pinnedCount: context.pinnedCount,
+      systemInstruction,
+      signal: sse.signal,
+      onUsage: (value) => { usage = value; }
+    });
+
+    for await (const chunk of streamGenerator) {
+      if (sse.isClosed()) break;
+      reply += chunk;
+      sse.send('chunk', { chunk });
+    }
+  } catch (error) {
+    if (!sse.isClosed()) {
+      logger.error('Chat stream failed', { sessionId, error: error.message });
+      sse.send('error', { error: error.message });
+      sse.end();
+      return;
+    }
+  }
+
+  const aborted = sse.isClosed();
+  usage = usage && !aborted ? usage : estimateStreamUsage(context.messages, reply);
+
+  // Save the (possibly partial) reply once the stream has ended
+  if (reply) {
+    sessionService.addMessage(sessionId, 'model', reply);
+  }
+
+  if (aborted) {
+    logger.warn('Chat stream aborted by client', { sessionId, replyLength: reply.length, tokensUsed: usage });
+    return;
+  }
+
+  sse.send('usage', usage);
+  sse.send('done', { sessionId });
+  sse.end();
+
+  logger.info('Chat stream completed', { sessionId, replyLength: reply.length, tokensUsed: usage });
+};
+
 /**
  * Analyze image
  */
@@ -106,41 +295,82 @@ const analyzeImage = async (req, res, next) => {
  * Stream text generation
  */
 const stream = async (req, res, next) => {
-  try {
-    const { prompt, model } = req.body;
+  const { prompt, model } = req.body;
 
-    logger.info('Stream request', { model, promptLength: prompt.length });
+  logger.info('Stream request', { model, promptLength: prompt.length });
 
-    // Set headers for SSE
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
+  const sse = createEventStream(res);
+  let output = '';
+  let usage = null;
 
+  try {
     // Generate and stream content
-    const streamGenerator = geminiService.streamText(prompt, { model });
+    const streamGenerator = geminiService.streamText(prompt, {
+      model,
+      signal: sse.signal,
+      onUsage: (value) => { usage = value; }
+    });
 
     for await (const chunk of streamGenerator) {
-      res.write(`data: ${JSON.stringify({ chunk })}\n\n`);
+      if (sse.isClosed()) break;
+      output += chunk;
+      sse.send('chunk', { chunk });
+    }
+  } catch (error) {
+    if (!sse.isClosed()) {
+      logger.error('Stream failed', { error: error.message });
+      sse.send('error', { error: error.message });
+      sse.end();
+      return;
     }
+  }
 
-    // Send completion signal
-    res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
-    res.end();
+  const aborted = sse.isClosed();
+  usage = usage && !aborted ? usage : estimateStreamUsage([{ role: 'user', content: prompt }], output);
 
-    logger.info('Stream completed');
-  } catch (error) {
-    logger.error('Stream failed', { error: error.message });
-    res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
-    res.end();
+  if (aborted) {
+    logger.warn('Stream aborted by client', { outputLength: output.length, tokensUsed: usage });
+    return;
   }
+
+  // Send usage and completion signal
+  sse.send('usage', usage);
+  sse.send('done', {});
+  sse.end();
+
+  logger.info('Stream completed', { tokensUsed: usage });
 };
 
 /**
  * Function calling
+ * With `functions`, returns the first call the model requests (client-side tools).
+ * With `tools`, runs the named server-side tools until the model answers with text.
  */
 const functionCall = async (req, res, next) => {
   try {
-    const { prompt, functions, model } = req.body;
+    const { prompt, functions, tools, model } = req.body;
+
+    if (tools && tools.length > 0) {
+      const unknownTools = tools.filter(name => !toolService.has(name));
+      if (unknownTools.length > 0) {
+        return errorResponse(res, `Unknown tools: ${unknownTools.join(', ')}`, 400);
+      }
+
+      logger.info('Tool agent request', { model, tools });
+
+      const result = await geminiService.chat([{ role: 'user', content: prompt }], {
+        model,
+        tools,
+        toolContext: { channel: 'api' }
+      });
+
+      logger.info('Tool agent successful', { toolCallCount: result.toolCalls.length });
+
+      return successResponse(res, {
+        text: result.reply,
+        toolCalls: result.toolCalls
+      });
+    }
 
     logger.info('Function call request', { model, functionCount: functions.length });
 
@@ -155,6 +385,18 @@ const functionCall = async (req, res, next) => {
   }
 };
 
+/**
+ * List registered server-side tools
+ */
+const listTools = async (req, res, next) => {
+  try {
+    return successResponse(res, { tools: toolService.listTools() });
+  } catch (error) {
+    logger.error('List tools failed', { error: error.message });
+    next(error);
+  }
+};
+
 /**
  * Generate embeddings
  */
@@ -276,9 +518,11 @@ const getModelInfo = async (req, res, next) => {
 module.exports = {
   generate,
   chat,
+  chatStream,
   analyzeImage,
   stream,
   functionCall,
+  listTools,
   embeddings,
   getSession,
   deleteSession,
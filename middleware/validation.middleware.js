@@ -138,11 +138,24 @@ const validateFunctionCall = [
     .withMessage('Prompt is required')
     .isString()
     .withMessage('Prompt must be a string'),
+  body()
+    .custom((value) => {
+      const hasFunctions = Array.isArray(value.functions) && value.functions.length > 0;
+      const hasTools = Array.isArray(value.tools) && value.tools.length > 0;
+      return hasFunctions || hasTools;
+    })
+    .withMessage('Either functions or tools is required'),
   body('functions')
-    .notEmpty()
-    .withMessage('Functions are required')
+    .optional()
     .isArray({ min: 1 })
     .withMessage('Functions must be a non-empty array'),
+  body('tools')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Tools must be a non-empty array of tool names'),
+  body('tools.*')
+    .isString()
+    .withMessage('Tool names must be strings'),
   body('functions.*.name')
     .notEmpty()
     .withMessage('Function name is required')
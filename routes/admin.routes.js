@@ -6,6 +6,7 @@ const express = require('express');
 const router = express.Router();
 const path = require('path');
 const fs = require('fs');
+const multer = require('multer');
 const {
   validateCredentials,
   createSession,
@@ -14,10 +15,107 @@ const {
 } = require('../middleware/admin.middleware');
 const logger = require('../utils/logger.util');
 const roleService = require('../services/role.service');
+const sessionService = require('../services/session.service');
+const toolService = require('../services/tool.service');
+const crmService = require('../services/crm.service');
+const queueService = require('../services/queue.service');
+const idempotencyService = require('../services/idempotency.service');
+const replyStatsService = require('../services/reply-stats.service');
+const botRegistryService = require('../services/bot-registry.service');
+const richMenuService = require('../services/rich-menu.service');
+const campaignService = require('../services/campaign.service');
+const contactService = require('../services/contact.service');
+const commandService = require('../services/command.service');
+const feedbackService = require('../services/feedback.service');
+const handoffService = require('../services/handoff.service');
+const summaryService = require('../services/summary.service');
+const webhookStatsService = require('../services/webhook-stats.service');
+const { sendStaffReply, releaseHandoff } = require('../services/line.service');
+const lineConfig = require('../config/line.config');
 
 const LOG_DIR = path.join(__dirname, '..', 'logs');
 const CONFIG_FILE = path.join(__dirname, '..', 'data', 'line-config.json');
 
+/**
+ * Validate the optional settings of a role configuration
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRoleSettings(roleConfig) {
+  const { summarization } = roleConfig;
+  if (summarization !== undefined) {
+    if (typeof summarization !== 'object' || summarization === null) {
+      return 'summarization must be an object';
+    }
+    if (summarization.enabled !== undefined && typeof summarization.enabled !== 'boolean') {
+      return 'summarization.enabled must be a boolean';
+    }
+    for (const field of ['maxTurns', 'keepRecentTurns']) {
+      if (summarization[field] !== undefined && (!Number.isInteger(summarization[field]) || summarization[field] < 1)) {
+        return `summarization.${field} must be a positive integer`;
+      }
+    }
+    // Compare the values the role will actually run with (role overrides on top of the defaults)
+    const effective = summaryService.getSettings({ summarization });
+    if (effective.keepRecentTurns >= effective.maxTurns) {
+      return `summarization.keepRecentTurns (${effective.keepRecentTurns}) must be less than summarization.maxTurns (${effective.maxTurns})`;
+    }
+    if (summarization.prompt !== undefined && typeof summarization.prompt !== 'string') {
+      return 'summarization.prompt must be a string';
+    }
+  }
+
+  if (roleConfig.visionPrompt !== undefined && typeof roleConfig.visionPrompt !== 'string') {
+    return 'visionPrompt must be a string';
+  }
+
+  if (roleConfig.richReplies !== undefined && typeof roleConfig.richReplies !== 'boolean') {
+    return 'richReplies must be a boolean';
+  }
+
+  const { events } = roleConfig;
+  if (events !== undefined) {
+    if (typeof events !== 'object' || events === null || Array.isArray(events)) {
+      return 'events must be an object';
+    }
+    for (const [eventType, settings] of Object.entries(events)) {
+      if (!Object.prototype.hasOwnProperty.call(lineConfig.eventDefaults, eventType)) {
+        return `Unknown event type: ${eventType}`;
+      }
+      if (typeof settings !== 'object' || settings === null) {
+        return `events.${eventType} must be an object`;
+      }
+      for (const field of ['enabled', 'clearSession', 'clearRoleMapping']) {
+        if (settings[field] !== undefined && typeof settings[field] !== 'boolean') {
+          return `events.${eventType}.${field} must be a boolean`;
+        }
+      }
+      for (const field of ['message', 'defaultReply']) {
+        if (settings[field] !== undefined && typeof settings[field] !== 'string') {
+          return `events.${eventType}.${field} must be a string`;
+        }
+      }
+      if (settings.replies !== undefined &&
+          (typeof settings.replies !== 'object' || settings.replies === null ||
+           Object.values(settings.replies).some(reply => typeof reply !== 'string'))) {
+        return `events.${eventType}.replies must map postback data to reply text`;
+      }
+    }
+  }
+
+  const { tools } = roleConfig;
+  if (tools !== undefined) {
+    if (!Array.isArray(tools) || tools.some(name => typeof name !== 'string')) {
+      return 'tools must be an array of tool names';
+    }
+    const unknownTools = tools.filter(name => !toolService.has(name));
+    if (unknownTools.length > 0) {
+      return `Unknown tools: ${unknownTools.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
 // Serve login page
 router.get('/login', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'views', 'admin-login.html'));
@@ -232,6 +330,11 @@ router.put('/api/config', (req, res) => {
         if (!roleConfig.stickerReplyText) {
           return res.status(400).json({ error: `Invalid role ${roleId}: stickerReplyText is required` });
         }
+
+        const settingsError = validateRoleSettings(roleConfig);
+        if (settingsError) {
+          return res.status(400).json({ error: `Invalid role ${roleId}: ${settingsError}` });
+        }
       }
     } else {
       // Legacy single-role format (backward compatibility)
@@ -332,6 +435,11 @@ router.post('/api/roles', (req, res) => {
       return res.status(400).json({ error: 'stickerReplyText is required' });
     }
 
+    const settingsError = validateRoleSettings(roleConfig);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
     if (roleService.roleExists(roleId)) {
       return res.status(409).json({ error: 'Role already exists' });
     }
@@ -386,6 +494,11 @@ router.put('/api/roles/:roleId', (req, res) => {
       return res.status(400).json({ error: 'stickerReplyText is required' });
     }
 
+    const settingsError = validateRoleSettings(roleConfig);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
     const success = roleService.updateRole(roleId, roleConfig);
 
     if (success) {
@@ -428,6 +541,53 @@ router.delete('/api/roles/:roleId', (req, res) => {
   }
 });
 
+// ==================== Tool API ====================
+
+// List server-side tools that roles may use
+router.get('/api/tools', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    res.json({ tools: toolService.listTools() });
+  } catch (err) {
+    logger.error('Error retrieving tools', { error: err.message });
+    res.status(500).json({ error: 'Failed to retrieve tools' });
+  }
+});
+
+// List sales leads created by the create_lead tool
+router.get('/api/leads', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    res.json({ leads: crmService.listLeads() });
+  } catch (err) {
+    logger.error('Error retrieving leads', { error: err.message });
+    res.status(500).json({ error: 'Failed to retrieve leads' });
+  }
+});
+
+// List support tickets created by the open_ticket tool
+router.get('/api/tickets', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    res.json({ tickets: crmService.listTickets() });
+  } catch (err) {
+    logger.error('Error retrieving tickets', { error: err.message });
+    res.status(500).json({ error: 'Failed to retrieve tickets' });
+  }
+});
+
 // ==================== User/Group Role Mapping API ====================
 
 // Get all user role mappings
@@ -439,8 +599,9 @@ router.get('/api/user-roles', (req, res) => {
 
   try {
     const mappings = roleService.getUserRoleMappings();
+    const contacts = contactService.getContacts(Object.keys(mappings));
     logger.info('Admin retrieved user role mappings');
-    res.json({ mappings });
+    res.json({ mappings, contacts });
   } catch (err) {
     logger.error('Error retrieving user role mappings', { error: err.message });
     res.status(500).json({ error: 'Failed to retrieve user role mappings' });
@@ -512,8 +673,9 @@ router.get('/api/group-roles', (req, res) => {
 
   try {
     const mappings = roleService.getGroupRoleMappings();
+    const contacts = contactService.getContacts(Object.keys(mappings));
     logger.info('Admin retrieved group role mappings');
-    res.json({ mappings });
+    res.json({ mappings, contacts });
   } catch (err) {
     logger.error('Error retrieving group role mappings', { error: err.message });
     res.status(500).json({ error: 'Failed to retrieve group role mappings' });
@@ -576,6 +738,89 @@ router.delete('/api/group-roles/:groupId', (req, res) => {
   }
 });
 
+// Get all group reply policies
+router.get('/api/group-reply-policies', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const policies = roleService.getGroupReplyPolicies();
+    const contacts = contactService.getContacts(Object.keys(policies));
+    logger.info('Admin retrieved group reply policies');
+    res.json({
+      policies,
+      contacts,
+      modes: lineConfig.groupReplies.modes,
+      defaultMode: lineConfig.groupReplies.defaultMode
+    });
+  } catch (err) {
+    logger.error('Error retrieving group reply policies', { error: err.message });
+    res.status(500).json({ error: 'Failed to retrieve group reply policies' });
+  }
+});
+
+// Set a group's reply policy
+router.put('/api/group-reply-policies/:groupId', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { groupId } = req.params;
+    const { mode, keywords } = req.body;
+
+    if (!lineConfig.groupReplies.modes.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${lineConfig.groupReplies.modes.join(', ')}` });
+    }
+
+    const cleanKeywords = Array.isArray(keywords)
+      ? keywords.filter(keyword => typeof keyword === 'string').map(keyword => keyword.trim()).filter(Boolean)
+      : [];
+    if (mode === 'keyword' && cleanKeywords.length === 0) {
+      return res.status(400).json({ error: 'keywords must list at least one keyword for keyword mode' });
+    }
+
+    const success = roleService.setGroupReplyPolicy(groupId, { mode, keywords: cleanKeywords });
+
+    if (success) {
+      logger.info('Admin set group reply policy', { groupId, mode });
+      res.json({ success: true, message: 'Group reply policy saved successfully' });
+    } else {
+      res.status(500).json({ error: 'Failed to save group reply policy' });
+    }
+  } catch (err) {
+    logger.error('Error saving group reply policy', { error: err.message });
+    res.status(500).json({ error: 'Failed to save group reply policy' });
+  }
+});
+
+// Remove a group's reply policy (the group goes back to the default mode)
+router.delete('/api/group-reply-policies/:groupId', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { groupId } = req.params;
+
+    const success = roleService.removeGroupReplyPolicy(groupId);
+
+    if (success) {
+      logger.info('Admin removed group reply policy', { groupId });
+      res.json({ success: true, message: 'Group reply policy removed successfully' });
+    } else {
+      res.status(404).json({ error: 'Group reply policy not found' });
+    }
+  } catch (err) {
+    logger.error('Error removing group reply policy', { error: err.message });
+    res.status(500).json({ error: 'Failed to remove group reply policy' });
+  }
+});
+
 // Get all bot role mappings
 router.get('/api/bot-roles', (req, res) => {
   const token = req.headers['x-admin-token'];
@@ -698,4 +943,788 @@ router.put('/api/default-role', (req, res) => {
   }
 });
 
+// ==================== Session API ====================
+
+// List chat sessions
+router.get('/api/sessions', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const sessions = sessionService.listSessions();
+    logger.info('Admin retrieved sessions list');
+    res.json({ sessions, stats: sessionService.getStats() });
+  } catch (err) {
+    logger.error('Error retrieving sessions', { error: err.message });
+    res.status(500).json({ error: 'Failed to retrieve sessions' });
+  }
+});
+
+// Get a session with its messages and rolling summary
+router.get('/api/sessions/:sessionId', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { sessionId } = req.params;
+    const session = sessionService.getSession(sessionId);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    logger.info('Admin retrieved session', { sessionId });
+    res.json({ session });
+  } catch (err) {
+    logger.error('Error retrieving session', { error: err.message });
+    res.status(500).json({ error: 'Failed to retrieve session' });
+  }
+});
+
+// Get job queue and redelivery deduplication statistics
+router.get('/api/queue', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  res.json({ stats: queueService.getStats(), dedupe: idempotencyService.getStats() });
+});
+
+// List jobs that failed all their attempts
+router.get('/api/queue/dead-letters', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const deadLetters = queueService.listDeadLetters();
+    logger.info('Admin retrieved dead-letter jobs');
+    res.json({ deadLetters });
+  } catch (err) {
+    logger.error('Error retrieving dead-letter jobs', { error: err.message });
+    res.status(500).json({ error: 'Failed to retrieve dead-letter jobs' });
+  }
+});
+
+// Put a dead-letter job back on the queue
+router.post('/api/queue/dead-letters/:jobId/retry', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { jobId } = req.params;
+  const job = queueService.retryDeadLetter(jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Dead-letter job not found' });
+  }
+
+  logger.info('Admin requeued dead-letter job', { jobId });
+  res.json({ success: true, message: 'Job requeued', job });
+});
+
+// Discard a dead-letter job
+router.delete('/api/queue/dead-letters/:jobId', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { jobId } = req.params;
+  if (!queueService.deleteDeadLetter(jobId)) {
+    return res.status(404).json({ error: 'Dead-letter job not found' });
+  }
+
+  logger.info('Admin deleted dead-letter job', { jobId });
+  res.json({ success: true, message: 'Job deleted' });
+});
+
+// Per-bot reply delivery stats (reply token vs. push fallback)
+router.get('/api/reply-stats', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  res.json({ bots: replyStatsService.listStats() });
+});
+
+// Per-bot webhook counts, signature failures and rate-limited requests, with the queue stats
+router.get('/api/line-health', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const bots = botRegistryService.listBots().map(bot => ({
+    botKey: bot.botKey,
+    name: bot.name,
+    webhookPath: `/line/webhook/${bot.botKey}`,
+    configured: Boolean(bot.channelSecret && bot.channelAccessToken),
+    destinationBound: Boolean(bot.destination),
+    rateLimit: bot.rateLimit || lineConfig.webhookRateLimit.max,
+    ...webhookStatsService.getBotStats(bot.botKey)
+  }));
+
+  res.json({ queue: queueService.getStats(), bots });
+});
+
+// Show only the last 4 characters of channel credentials
+function maskCredential(value) {
+  return value ? `••••${value.slice(-4)}` : '';
+}
+
+// Bot as returned to the dashboard (credentials are never sent back in full)
+function toPublicBot(bot) {
+  return {
+    botKey: bot.botKey,
+    name: bot.name,
+    destination: bot.destination,
+    rateLimit: bot.rateLimit || null,
+    webhookPath: `/line/webhook/${bot.botKey}`,
+    channelSecret: maskCredential(bot.channelSecret),
+    channelAccessToken: maskCredential(bot.channelAccessToken),
+    createdAt: bot.createdAt,
+    updatedAt: bot.updatedAt
+  };
+}
+
+// Validate bot fields. Credentials are only required when creating a bot;
+// on update a blank value keeps the stored one.
+function validateBotFields(bot, isNew) {
+  if (!bot.name || typeof bot.name !== 'string') {
+    return 'Bot name is required';
+  }
+  if (isNew && (!bot.channelSecret || !bot.channelAccessToken)) {
+    return 'channelSecret and channelAccessToken are required';
+  }
+  for (const field of ['channelSecret', 'channelAccessToken', 'destination']) {
+    if (bot[field] !== undefined && bot[field] !== null && typeof bot[field] !== 'string') {
+      return `${field} must be a string`;
+    }
+  }
+  if (bot.rateLimit !== undefined && bot.rateLimit !== null && !(Number.isInteger(bot.rateLimit) && bot.rateLimit > 0)) {
+    return 'rateLimit must be a positive integer';
+  }
+  return null;
+}
+
+// Get all LINE bots
+router.get('/api/bots', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const bots = botRegistryService.listBots().map(toPublicBot);
+    const discovered = botRegistryService.listDiscoveredDestinations();
+    logger.info('Admin retrieved LINE bots');
+    res.json({ bots, discovered });
+  } catch (err) {
+    logger.error('Error retrieving LINE bots', { error: err.message });
+    res.status(500).json({ error: 'Failed to retrieve LINE bots' });
+  }
+});
+
+// Register a LINE bot
+router.post('/api/bots', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { botKey, name, channelSecret, channelAccessToken, destination, rateLimit } = req.body;
+
+    if (!botKey || !/^[A-Za-z0-9_-]+$/.test(botKey)) {
+      return res.status(400).json({ error: 'botKey is required and may only contain letters, numbers, _ and -' });
+    }
+
+    const bot = { name, channelSecret, channelAccessToken, destination: destination || null, rateLimit: rateLimit || null };
+    const validationError = validateBotFields(bot, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (botRegistryService.getBot(botKey)) {
+      return res.status(409).json({ error: 'Bot already exists' });
+    }
+
+    if (bot.destination && botRegistryService.findBotKeyByDestination(bot.destination)) {
+      return res.status(409).json({ error: 'Destination is already bound to another bot' });
+    }
+
+    const success = botRegistryService.createBot(botKey, bot);
+
+    if (success) {
+      logger.info('Admin registered LINE bot', { botKey });
+      res.json({ success: true, message: 'Bot registered successfully' });
+    } else {
+      res.status(500).json({ error: 'Failed to register bot' });
+    }
+  } catch (err) {
+    logger.error('Error registering LINE bot', { error: err.message });
+    res.status(500).json({ error: 'Failed to register bot' });
+  }
+});
+
+// Update a LINE bot
+router.put('/api/bots/:botKey', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { botKey } = req.params;
+    const { name, channelSecret, channelAccessToken, destination, rateLimit } = req.body;
+
+    if (!botRegistryService.getBot(botKey)) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+
+    const updates = {
+      name,
+      channelSecret: channelSecret || undefined,
+      channelAccessToken: channelAccessToken || undefined,
+      destination: destination === undefined ? undefined : destination || null,
+      rateLimit: rateLimit === undefined ? undefined : rateLimit || null
+    };
+    const validationError = validateBotFields(updates, false);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const boundBotKey = updates.destination && botRegistryService.findBotKeyByDestination(updates.destination);
+    if (boundBotKey && boundBotKey !== botKey) {
+      return res.status(409).json({ error: `Destination is already bound to ${boundBotKey}` });
+    }
+
+    const success = botRegistryService.updateBot(botKey, updates);
+
+    if (success) {
+      logger.info('Admin updated LINE bot', { botKey });
+      res.json({ success: true, message: 'Bot updated successfully' });
+    } else {
+      res.status(500).json({ error: 'Failed to update bot' });
+    }
+  } catch (err) {
+    logger.error('Error updating LINE bot', { error: err.message });
+    res.status(500).json({ error: 'Failed to update bot' });
+  }
+});
+
+// Bind a discovered destination to a bot
+router.post('/api/bots/:botKey/destination', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { botKey } = req.params;
+    const { destination } = req.body;
+
+    if (!destination || typeof destination !== 'string') {
+      return res.status(400).json({ error: 'destination is required' });
+    }
+
+    if (!botRegistryService.getBot(botKey)) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+
+    const success = botRegistryService.bindDestination(botKey, destination);
+
+    if (success) {
+      logger.info('Admin bound destination to LINE bot', { botKey, destination });
+      res.json({ success: true, message: 'Destination bound successfully' });
+    } else {
+      res.status(500).json({ error: 'Failed to bind destination' });
+    }
+  } catch (err) {
+    logger.error('Error binding destination', { error: err.message });
+    res.status(500).json({ error: 'Failed to bind destination' });
+  }
+});
+
+// Dismiss a discovered destination
+router.delete('/api/bots/discovered/:destination', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { destination } = req.params;
+  if (!botRegistryService.dismissDestination(destination)) {
+    return res.status(404).json({ error: 'Discovered destination not found' });
+  }
+
+  logger.info('Admin dismissed discovered destination', { destination });
+  res.json({ success: true, message: 'Destination dismissed' });
+});
+
+// Remove a LINE bot
+router.delete('/api/bots/:botKey', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { botKey } = req.params;
+
+    if (!botRegistryService.getBot(botKey)) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+
+    const success = botRegistryService.deleteBot(botKey);
+
+    if (success) {
+      logger.info('Admin removed LINE bot', { botKey });
+      res.json({ success: true, message: 'Bot removed successfully' });
+    } else {
+      res.status(500).json({ error: 'Failed to remove bot' });
+    }
+  } catch (err) {
+    logger.error('Error removing LINE bot', { error: err.message });
+    res.status(500).json({ error: 'Failed to remove bot' });
+  }
+});
+
+// Rich menu images are forwarded straight to LINE, so keep them in memory
+const richMenuImageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: lineConfig.richMenu.imageMaxSize
+  },
+  fileFilter: (req, file, cb) => {
+    if (lineConfig.richMenu.imageMimeTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Rich menu images must be JPEG or PNG.'));
+    }
+  }
+}).single('image');
+
+// Send a LINE API failure back to the dashboard with LINE's reason
+function sendRichMenuError(res, err, action) {
+  const message = richMenuService.describeError(err);
+  logger.error(`Error trying to ${action}`, { error: message });
+  res.status(err.statusCode ? 502 : 500).json({ error: `Failed to ${action}: ${message}` });
+}
+
+// List a bot's rich menus
+router.get('/api/bots/:botKey/rich-menus', async (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { botKey } = req.params;
+  if (!botRegistryService.getBot(botKey)) {
+    return res.status(404).json({ error: 'Bot not found' });
+  }
+
+  try {
+    const richMenus = await richMenuService.listMenus(botKey);
+    logger.info('Admin retrieved rich menus', { botKey });
+    res.json({ richMenus });
+  } catch (err) {
+    sendRichMenuError(res, err, 'retrieve rich menus');
+  }
+});
+
+// Create a rich menu
+router.post('/api/bots/:botKey/rich-menus', async (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { botKey } = req.params;
+  if (!botRegistryService.getBot(botKey)) {
+    return res.status(404).json({ error: 'Bot not found' });
+  }
+
+  const { richMenu } = req.body;
+  const validationError = richMenuService.validateRichMenu(richMenu);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const richMenuId = await richMenuService.createMenu(botKey, richMenu);
+    logger.info('Admin created rich menu', { botKey, richMenuId });
+    res.json({ success: true, message: 'Rich menu created successfully', richMenuId });
+  } catch (err) {
+    sendRichMenuError(res, err, 'create rich menu');
+  }
+});
+
+// Upload a rich menu image (multipart field "image")
+router.post('/api/bots/:botKey/rich-menus/:richMenuId/image', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { botKey, richMenuId } = req.params;
+  if (!botRegistryService.getBot(botKey)) {
+    return res.status(404).json({ error: 'Bot not found' });
+  }
+
+  richMenuImageUpload(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      const message = uploadErr.code === 'LIMIT_FILE_SIZE' ? 'Rich menu images must be 1 MB or smaller' : uploadErr.message;
+      return res.status(400).json({ error: message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'image file is required' });
+    }
+
+    try {
+      await richMenuService.uploadImage(botKey, richMenuId, req.file.buffer, req.file.mimetype);
+      logger.info('Admin uploaded rich menu image', { botKey, richMenuId });
+      res.json({ success: true, message: 'Rich menu image uploaded successfully' });
+    } catch (err) {
+      sendRichMenuError(res, err, 'upload rich menu image');
+    }
+  });
+});
+
+// Make a rich menu the bot's default
+router.post('/api/bots/:botKey/rich-menus/:richMenuId/default', async (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { botKey, richMenuId } = req.params;
+  if (!botRegistryService.getBot(botKey)) {
+    return res.status(404).json({ error: 'Bot not found' });
+  }
+
+  try {
+    await richMenuService.setDefaultMenu(botKey, richMenuId);
+    logger.info('Admin set default rich menu', { botKey, richMenuId });
+    res.json({ success: true, message: 'Default rich menu set successfully' });
+  } catch (err) {
+    sendRichMenuError(res, err, 'set default rich menu');
+  }
+});
+
+// Link a rich menu to users
+router.post('/api/bots/:botKey/rich-menus/:richMenuId/users', async (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { botKey, richMenuId } = req.params;
+  if (!botRegistryService.getBot(botKey)) {
+    return res.status(404).json({ error: 'Bot not found' });
+  }
+
+  const { userIds } = req.body;
+  if (!Array.isArray(userIds) || userIds.length === 0 || userIds.some(userId => typeof userId !== 'string' || !userId)) {
+    return res.status(400).json({ error: 'userIds must be a non-empty array of LINE user IDs' });
+  }
+
+  try {
+    await richMenuService.linkMenuToUsers(botKey, richMenuId, userIds);
+    logger.info('Admin linked rich menu to users', { botKey, richMenuId, users: userIds.length });
+    res.json({ success: true, message: `Rich menu linked to ${userIds.length} user(s)` });
+  } catch (err) {
+    sendRichMenuError(res, err, 'link rich menu');
+  }
+});
+
+// Delete a rich menu
+router.delete('/api/bots/:botKey/rich-menus/:richMenuId', async (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { botKey, richMenuId } = req.params;
+  if (!botRegistryService.getBot(botKey)) {
+    return res.status(404).json({ error: 'Bot not found' });
+  }
+
+  try {
+    await richMenuService.deleteMenu(botKey, richMenuId);
+    logger.info('Admin deleted rich menu', { botKey, richMenuId });
+    res.json({ success: true, message: 'Rich menu deleted successfully' });
+  } catch (err) {
+    sendRichMenuError(res, err, 'delete rich menu');
+  }
+});
+
+// Search the contact directory by name or ID
+router.get('/api/contacts', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { q = '', type } = req.query;
+
+    if (type && !['user', 'group'].includes(type)) {
+      return res.status(400).json({ error: 'type must be user or group' });
+    }
+
+    const contacts = contactService.search(String(q), { type });
+    const userRoles = roleService.getUserRoleMappings();
+    const groupRoles = roleService.getGroupRoleMappings();
+    logger.info('Admin searched contacts', { query: q, results: contacts.length });
+    res.json({
+      contacts: contacts.map(contact => ({
+        ...contact,
+        roleId: (contact.type === 'group' ? groupRoles : userRoles)[contact.id] || null
+      }))
+    });
+  } catch (err) {
+    logger.error('Error searching contacts', { error: err.message });
+    res.status(500).json({ error: 'Failed to search contacts' });
+  }
+});
+
+// List push campaigns
+router.get('/api/campaigns', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const campaigns = campaignService.listCampaigns();
+    logger.info('Admin retrieved campaigns');
+    res.json({ campaigns });
+  } catch (err) {
+    logger.error('Error retrieving campaigns', { error: err.message });
+    res.status(500).json({ error: 'Failed to retrieve campaigns' });
+  }
+});
+
+// Create a campaign (sent right away, or at scheduledAt)
+router.post('/api/campaigns', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { botKey, name, text, segment, scheduledAt } = req.body;
+    const data = { botKey, name, text, segment, scheduledAt };
+
+    const validationError = campaignService.validateCampaign(data);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const campaign = campaignService.createCampaign(data);
+    logger.info('Admin created campaign', { campaignId: campaign.id, botKey, segment: campaign.segment.type });
+    res.json({ success: true, message: `Campaign ${campaign.status}`, campaign });
+  } catch (err) {
+    logger.error('Error creating campaign', { error: err.message });
+    res.status(500).json({ error: 'Failed to create campaign' });
+  }
+});
+
+// Draft a campaign message with Gemini
+router.post('/api/campaigns/draft', async (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { roleId, prompt } = req.body;
+
+    if (!roleId || !prompt || typeof prompt !== 'string') {
+      return res.status(400).json({ error: 'roleId and prompt are required' });
+    }
+
+    if (!roleService.roleExists(roleId)) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const text = await campaignService.draftMessage(roleId, prompt);
+    logger.info('Admin drafted campaign message', { roleId });
+    res.json({ text });
+  } catch (err) {
+    logger.error('Error drafting campaign message', { error: err.message });
+    res.status(500).json({ error: 'Failed to draft message' });
+  }
+});
+
+// Cancel a campaign that hasn't started sending
+router.post('/api/campaigns/:campaignId/cancel', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { campaignId } = req.params;
+  const campaign = campaignService.getCampaign(campaignId);
+  if (!campaign) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+
+  if (!campaignService.cancelCampaign(campaignId)) {
+    return res.status(409).json({ error: `Campaign is already ${campaign.status}` });
+  }
+
+  logger.info('Admin cancelled campaign', { campaignId });
+  res.json({ success: true, message: 'Campaign cancelled' });
+});
+
+// Per-recipient delivery log of a campaign
+router.get('/api/campaigns/:campaignId/deliveries', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { campaignId } = req.params;
+  if (!campaignService.getCampaign(campaignId)) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+
+  res.json({ deliveries: campaignService.listDeliveries(campaignId) });
+});
+
+// List chat commands and feedback left with /feedback
+router.get('/api/feedback', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const feedback = feedbackService.listFeedback();
+    const contacts = contactService.getContacts(feedback.map(entry => entry.userId).filter(Boolean));
+    res.json({ feedback, contacts, commands: commandService.listCommands() });
+  } catch (err) {
+    logger.error('Error retrieving feedback', { error: err.message });
+    res.status(500).json({ error: 'Failed to retrieve feedback' });
+  }
+});
+
+// Delete a piece of feedback
+router.delete('/api/feedback/:feedbackId', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (!feedbackService.deleteFeedback(req.params.feedbackId)) {
+      return res.status(404).json({ error: 'Feedback not found' });
+    }
+    logger.info('Admin deleted feedback', { feedbackId: req.params.feedbackId });
+    res.json({ success: true, message: 'Feedback deleted successfully' });
+  } catch (err) {
+    logger.error('Error deleting feedback', { error: err.message });
+    res.status(500).json({ error: 'Failed to delete feedback' });
+  }
+});
+
+// List LINE conversations handed off to staff
+router.get('/api/handoffs', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const handoffs = handoffService.listHandoffs();
+    const ids = handoffs.reduce((all, handoff) => all.concat([handoff.userId, handoff.groupId].filter(Boolean)), []);
+    res.json({ handoffs, contacts: contactService.getContacts(ids) });
+  } catch (err) {
+    logger.error('Error retrieving handoffs', { error: err.message });
+    res.status(500).json({ error: 'Failed to retrieve handoffs' });
+  }
+});
+
+// Get a handed-off conversation's transcript (marks it as read)
+router.get('/api/handoffs/:conversationKey', (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { conversationKey } = req.params;
+    const handoff = handoffService.getHandoff(conversationKey);
+    if (!handoff) {
+      return res.status(404).json({ error: 'Handoff not found' });
+    }
+
+    handoffService.markRead(conversationKey);
+    const session = sessionService.getSession(handoff.sessionId);
+    // LINE sessions start with the role's system prompt pair, which isn't part of the chat
+    const messages = session ? session.messages.slice(2) : [];
+    res.json({ handoff, messages, summary: session && session.summary ? session.summary.text : null });
+  } catch (err) {
+    logger.error('Error retrieving handoff transcript', { error: err.message });
+    res.status(500).json({ error: 'Failed to retrieve handoff transcript' });
+  }
+});
+
+// Reply to a handed-off conversation with a LINE push message
+router.post('/api/handoffs/:conversationKey/reply', async (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { conversationKey } = req.params;
+  const { text } = req.body;
+
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: 'text is required' });
+  }
+  if (!handoffService.isActive(conversationKey)) {
+    return res.status(404).json({ error: 'Handoff not found' });
+  }
+
+  try {
+    await sendStaffReply(conversationKey, text.trim());
+    logger.info('Admin replied to handoff', { conversationKey });
+    res.json({ success: true, message: 'Reply sent successfully' });
+  } catch (err) {
+    logger.error('Error sending handoff reply', { conversationKey, error: err.message });
+    res.status(err.statusCode ? 502 : 500).json({ error: `Failed to send reply: ${err.message}` });
+  }
+});
+
+// Hand a conversation back to the AI
+router.post('/api/handoffs/:conversationKey/release', async (req, res) => {
+  const token = req.headers['x-admin-token'];
+  if (!token || !validateSession(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { conversationKey } = req.params;
+    if (!await releaseHandoff(conversationKey)) {
+      return res.status(404).json({ error: 'Handoff not found' });
+    }
+    logger.info('Admin released handoff', { conversationKey });
+    res.json({ success: true, message: 'Conversation handed back to the AI' });
+  } catch (err) {
+    logger.error('Error releasing handoff', { error: err.message });
+    res.status(500).json({ error: 'Failed to release handoff' });
+  }
+});
+
 module.exports = router;
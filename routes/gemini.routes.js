@@ -40,6 +40,7 @@ router.post('/generate', validateGenerate, asyncHandler(geminiController.generat
 
 // Chat/Conversation
 router.post('/chat', validateChat, asyncHandler(geminiController.chat));
+router.post('/chat/stream', validateChat, asyncHandler(geminiController.chatStream));
 
 // Image analysis
 router.post(
@@ -54,6 +55,7 @@ router.post('/stream', validateStream, asyncHandler(geminiController.stream));
 
 // Function calling
 router.post('/function-call', validateFunctionCall, asyncHandler(geminiController.functionCall));
+router.get('/tools', asyncHandler(geminiController.listTools));
 
 // Embeddings
 router.post('/embeddings', validateEmbeddings, asyncHandler(geminiController.embeddings));
@@ -1,15 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
 const logger = require('../utils/logger.util');
+const queueService = require('../services/queue.service');
+const idempotencyService = require('../services/idempotency.service');
+const botRegistryService = require('../services/bot-registry.service');
+const webhookStatsService = require('../services/webhook-stats.service');
+const { validateSession } = require('../middleware/admin.middleware');
+
+const LINE_EVENT_JOB = 'line-event';
 
 let handleEvent = null;
 let lineConfig = null;
+let lineService = null;
 
 // Try to load LINE SDK dependencies
 try {
   lineConfig = require('../config/line.config');
-  const lineService = require('../services/line.service');
+  lineService = require('../services/line.service');
   handleEvent = lineService.handleEvent;
 
   logger.info('LINE Bot SDK loaded successfully');
@@ -17,49 +26,159 @@ try {
   logger.error('Error loading LINE Bot SDK:', err);
 }
 
-// Validate LINE signature manually (same algorithm as LINE SDK)
+// Queued webhook events are processed by the job queue workers.
+// Jobs store the bot key rather than the channel credentials, so retries pick up rotated tokens.
+if (handleEvent) {
+  queueService.registerHandler(LINE_EVENT_JOB, async ({ event, destination, botKey }, job) => {
+    const botConfig = botRegistryService.getBot(botKey);
+    if (!botConfig) {
+      const err = new Error(`Unknown LINE bot: ${botKey}`);
+      err.retryable = false;
+      throw err;
+    }
+
+    try {
+      await handleEvent(event, destination, botConfig, { isFinalAttempt: job.isFinalAttempt });
+    } catch (err) {
+      // LINE rejected the request (e.g. an expired reply token), so retrying won't help
+      if (err.statusCode >= 400 && err.statusCode < 500 && err.statusCode !== 429) {
+        err.retryable = false;
+      }
+      throw err;
+    }
+  });
+  queueService.start();
+}
+
+// Validate LINE signature manually (same algorithm as LINE SDK).
+// Compared in constant time so the signature can't be guessed byte by byte.
 function validateSignature(bodyBuffer, signature, channelSecret) {
-  const hash = crypto
+  if (!bodyBuffer || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = crypto
     .createHmac('SHA256', channelSecret)
     .update(bodyBuffer)
-    .digest('base64');
+    .digest();
+  const received = Buffer.from(signature, 'base64');
 
-  logger.info(`Signature validation - Expected: ${hash}, Received: ${signature}, Match: ${hash === signature}`);
-  return hash === signature;
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
 }
 
 // Try to validate with all configured bot secrets
 function validateWithAllBots(bodyBuffer, signature) {
   if (!lineConfig) return null;
 
-  const configs = lineConfig.getAllBotConfigs();
-  for (let i = 0; i < configs.length; i++) {
-    const config = configs[i];
-    logger.info(`Trying bot ${i + 1} with secret: ${config.channelSecret.substring(0, 8)}...`);
-    if (validateSignature(bodyBuffer, signature, config.channelSecret)) {
-      logger.info(`✓ Signature validated with bot ${i + 1}`);
-      return config;
-    }
+  const configs = botRegistryService.getAllBotConfigs();
+  const config = configs.find(candidate => validateSignature(bodyBuffer, signature, candidate.channelSecret));
+  if (config) {
+    logger.info(`✓ Signature validated with bot ${config.key}`);
+    return config;
   }
   logger.error(`✗ Signature validation failed for all ${configs.length} configured bots`);
   return null;
 }
 
+// Keep the raw body for signature validation (LINE signs the exact bytes)
+const parseSignedJson = express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+});
+
+// Rate limit for per-bot webhooks, counted per bot key.
+// Runs after the signature check, so unsigned requests can't use up a bot's quota.
+const webhookLimiter = rateLimit({
+  windowMs: lineConfig ? lineConfig.webhookRateLimit.windowMs : 60 * 1000,
+  limit: (req) => {
+    const bot = botRegistryService.getBot(req.params.botKey);
+    return (bot && bot.rateLimit) || (lineConfig ? lineConfig.webhookRateLimit.max : 600);
+  },
+  keyGenerator: (req) => req.params.botKey,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: (req, res) => {
+    webhookStatsService.getBotStats(req.params.botKey).rateLimited++;
+    logger.warn(`Rate limit exceeded for LINE bot ${req.params.botKey} webhook`);
+    res.status(429).json({ success: false, message: 'Too many webhook requests for this bot' });
+  }
+});
+
+/**
+ * Queue webhook events for the job workers
+ * @param {array} events - Webhook events
+ * @param {string} destination - Bot user ID the webhook was sent to
+ * @param {string} botKey - Key of the bot whose secret validated the request
+ * @param {object} options - { dedupe } set false to process events even if their
+ *   webhookEventId was seen before (used by /webhook-test to replay payloads)
+ * @returns {number} Number of events queued
+ */
+function queueEvents(events, destination, botKey, options = {}) {
+  const dedupe = options.dedupe !== false;
+  let duplicates = 0;
+
+  events.forEach(event => {
+    // LINE redelivers events it thinks failed; skip any webhookEventId we already accepted
+    if (dedupe && event.webhookEventId && !idempotencyService.markIfNew(event.webhookEventId)) {
+      duplicates++;
+      const isRedelivery = event.deliveryContext && event.deliveryContext.isRedelivery;
+      logger.info(`Skipping duplicate LINE event ${event.webhookEventId}${isRedelivery ? ' (redelivery)' : ''}`);
+      return;
+    }
+
+    queueService.enqueue(LINE_EVENT_JOB, { event, destination, botKey }, {
+      groupKey: lineService.getConversationKey(event, destination)
+    });
+  });
+
+  if (duplicates > 0) {
+    logger.warn(`Skipped ${duplicates} duplicate LINE event(s) in this webhook (${idempotencyService.getStats().duplicatesSkipped} since start)`);
+  }
+  return events.length - duplicates;
+}
+
 // Webhook endpoint - WITHOUT middleware for testing
-router.post('/webhook-test', async (req, res) => {
+// Add ?process=true to run the events through the bot (outside production). The payload
+// isn't signed, so processing needs an admin token (x-admin-token) to keep anyone from
+// making the bot answer as another user; redelivery deduplication is skipped so the same
+// payload can be replayed.
+router.post('/webhook-test', express.json(), async (req, res) => {
   try {
     const destination = req.body.destination;
     const events = req.body.events || [];
 
     logger.info(`📨 Webhook-test received - Bot ID: ${destination || 'N/A'}, Events: ${events.length}`);
     logger.info('Full payload:', JSON.stringify(req.body));
-    logger.info('Headers:', JSON.stringify(req.headers));
+    const { 'x-admin-token': adminToken, ...headers } = req.headers;
+    logger.info('Headers:', JSON.stringify(headers));
+
+    let queued = 0;
+    if (req.query.process === 'true') {
+      if (process.env.NODE_ENV === 'production') {
+        return res.status(403).json({ success: false, message: 'Processing test webhooks is disabled in production' });
+      }
+      const token = req.headers['x-admin-token'];
+      if (!token || !validateSession(token)) {
+        logger.warn('Rejected webhook-test processing without a valid admin token');
+        return res.status(401).json({ success: false, message: 'Processing test webhooks requires an admin token' });
+      }
+      if (!handleEvent) {
+        return res.status(500).json({ success: false, message: 'LINE SDK not configured properly' });
+      }
+      const botConfig = botRegistryService.getBotConfig(destination);
+      if (!botConfig) {
+        return res.status(500).json({ success: false, message: 'No LINE bot registered' });
+      }
+      queued = queueEvents(events, destination, botConfig.key, { dedupe: false });
+    }
 
     res.status(200).json({
       success: true,
       message: 'Webhook test received',
       destination: destination,
       eventsCount: events.length,
+      queued,
       body: req.body
     });
   } catch (err) {
@@ -68,14 +187,76 @@ router.post('/webhook-test', async (req, res) => {
   }
 });
 
-// Webhook endpoint - WITH manual signature validation for multiple bots
-router.post('/webhook',
-  express.json({
-    verify: (req, res, buf, encoding) => {
-      // Store raw body buffer for signature validation (LINE needs the raw bytes)
-      req.rawBody = buf;
+/**
+ * Record a validated webhook and queue its events, then acknowledge right away,
+ * so a slow Gemini call doesn't make LINE time out and redeliver the webhook
+ * @param {string} botKey - Key of the bot whose secret validated the request
+ */
+function acceptWebhook(req, res, botKey) {
+  const destination = req.body.destination;
+  const events = req.body.events || [];
+
+  const stats = webhookStatsService.getBotStats(botKey);
+  stats.webhooks++;
+  stats.events += events.length;
+  stats.lastWebhookAt = Date.now();
+
+  logger.info(`📨 Webhook received - Bot: ${botKey}, Bot ID: ${destination}, Events: ${events.length}`);
+  botRegistryService.recordDestination(destination, botKey);
+
+  const queued = queueEvents(events, destination, botKey);
+  logger.info(`Queued ${queued} LINE webhook event(s)`);
+  return res.status(200).end();
+}
+
+/**
+ * Reject per-bot webhooks for unknown bots or with a signature that doesn't
+ * match that bot's secret
+ */
+function verifyBotWebhook(req, res, next) {
+  const { botKey } = req.params;
+
+  try {
+    const bot = botRegistryService.getBot(botKey);
+    if (!bot) {
+      logger.warn(`Webhook received for unknown LINE bot: ${botKey}`);
+      return res.status(404).json({ success: false, message: 'Unknown bot' });
+    }
+
+    if (!handleEvent) {
+      logger.error('LINE SDK not loaded properly');
+      return res.status(500).json({ success: false, message: 'LINE SDK not configured properly' });
+    }
+
+    if (!validateSignature(req.rawBody, req.headers['x-line-signature'], bot.channelSecret)) {
+      webhookStatsService.getBotStats(botKey).signatureFailures++;
+      logger.error(`LINE signature validation failed for bot ${botKey}`, {
+        receivedFrom: req.body?.destination
+      });
+      return res.status(403).json({ success: false, message: 'Signature validation failed' });
     }
-  }),
+
+    return next();
+  } catch (err) {
+    logger.error(`Error in LINE webhook for bot ${botKey}:`, err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+// Webhook endpoint for a single bot - validated against that bot's secret only.
+// Set the channel's webhook URL in the LINE console to /line/webhook/<botKey>.
+router.post('/webhook/:botKey', parseSignedJson, verifyBotWebhook, webhookLimiter, (req, res) => {
+  try {
+    return acceptWebhook(req, res, req.params.botKey);
+  } catch (err) {
+    logger.error(`Error in LINE webhook for bot ${req.params.botKey}:`, err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Shared webhook endpoint - tries every bot's secret (kept for existing channels)
+router.post('/webhook',
+  parseSignedJson,
   async (req, res) => {
     logger.info('Webhook POST received - starting processing');
 
@@ -97,18 +278,7 @@ router.post('/webhook',
           });
         }
 
-        logger.info('Signature validated successfully with matching bot config');
-
-        const destination = req.body.destination;
-        const events = req.body.events || [];
-
-        logger.info(`📨 Webhook received - Bot ID: ${destination}, Events: ${events.length}`);
-
-        // Process all events in parallel, passing destination AND the validated config to each
-        await Promise.all(events.map(event => handleEvent(event, destination, validConfig)));
-
-        logger.info('LINE webhook events processed successfully');
-        return res.status(200).end();
+        return acceptWebhook(req, res, validConfig.key);
 
       } else if (!signature) {
         // No signature - this is a test request, not from LINE
@@ -138,11 +308,12 @@ router.post('/webhook',
   }
 );
 
-// Health check endpoint
+// Health check endpoint (liveness only). It is public, so the per-bot webhook counters
+// and queue stats, which name every bot, are served at /admin/api/line-health instead.
 router.get('/health', (req, res) => {
   res.json({
     status: 'LINE Bot server is running',
-    sdkLoaded: lineMiddleware !== null
+    sdkLoaded: handleEvent !== null
   });
 });
 
@@ -0,0 +1,304 @@
+const fs = require('fs');
+const path = require('path');
+const lineConfig = require('../config/line.config');
+const logger = require('../utils/logger.util');
+
+const REGISTRY_PATH = path.join(__dirname, '..', 'data', 'bots.json');
+
+/**
+ * Registry of LINE bots (channels) stored in data/bots.json
+ *
+ * Each bot has a name, channel secret, access token, destination (the bot's
+ * user ID that LINE sends as `destination` in webhooks) and an optional
+ * webhook rate limit. The file is re-read
+ * whenever it changes, so bots added from the admin dashboard work without a
+ * restart. On first run the registry is seeded from the bot1/bot2 credentials
+ * in .env.
+ *
+ * Destinations are discovered from signed webhooks: the first destination seen
+ * for a bot without one is bound to it automatically. Destinations that can't
+ * be bound (the bot already has a different one) are kept in `discovered`
+ * until an admin binds or dismisses them.
+ */
+class BotRegistryService {
+  constructor() {
+    this.bots = {};
+    this.discovered = {};
+    this.loadedMtime = null;
+    this.loadRegistry();
+  }
+
+  /**
+   * Load the registry from file if it changed since the last load
+   */
+  loadRegistry() {
+    if (!fs.existsSync(REGISTRY_PATH)) {
+      this.bots = this.seedFromEnv();
+      this.loadedMtime = null;
+      if (Object.keys(this.bots).length > 0) {
+        this.saveRegistry();
+        logger.info(`Seeded bot registry from .env with ${Object.keys(this.bots).length} bot(s)`);
+      }
+      return;
+    }
+
+    try {
+      const mtime = fs.statSync(REGISTRY_PATH).mtimeMs;
+      if (mtime === this.loadedMtime) {
+        return;
+      }
+      const registry = JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+      this.bots = registry.bots || {};
+      this.discovered = registry.discovered || {};
+      this.loadedMtime = mtime;
+    } catch (error) {
+      // Keep the last good registry so a bad edit doesn't take every bot offline
+      logger.error('Error loading bot registry:', error);
+    }
+  }
+
+  /**
+   * Save the registry to file
+   */
+  saveRegistry() {
+    try {
+      fs.writeFileSync(REGISTRY_PATH, JSON.stringify({ bots: this.bots, discovered: this.discovered }, null, 2), 'utf8');
+      this.loadedMtime = fs.statSync(REGISTRY_PATH).mtimeMs;
+      return true;
+    } catch (error) {
+      logger.error('Error saving bot registry:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Build the initial registry from the LINE credentials in .env
+   */
+  seedFromEnv() {
+    const bots = {};
+    Object.entries(lineConfig.bots).forEach(([botKey, bot]) => {
+      if (bot.channelSecret && bot.channelAccessToken) {
+        bots[botKey] = {
+          name: botKey,
+          channelSecret: bot.channelSecret,
+          channelAccessToken: bot.channelAccessToken,
+          destination: null,
+          createdAt: Date.now()
+        };
+      }
+    });
+    return bots;
+  }
+
+  /**
+   * List all bots
+   * @returns {array} Bots with botKey included
+   */
+  listBots() {
+    this.loadRegistry();
+    return Object.keys(this.bots).map(botKey => ({ botKey, ...this.bots[botKey] }));
+  }
+
+  /**
+   * Get a bot by key
+   * @returns {object|null} Bot with botKey included
+   */
+  getBot(botKey) {
+    this.loadRegistry();
+    return this.bots[botKey] ? { botKey, ...this.bots[botKey] } : null;
+  }
+
+  /**
+   * Get the client config for the bot serving a destination
+   * Falls back to the first bot when the destination isn't registered.
+   * @param {string} destination - Bot user ID from the webhook
+   * @returns {object|null} { key, channelAccessToken, channelSecret }
+   */
+  getBotConfig(destination) {
+    const configs = this.getAllBotConfigs();
+    return configs.find(config => destination && config.destination === destination) || configs[0] || null;
+  }
+
+  /**
+   * Get client configs for every bot with credentials
+   * @returns {array} { key, channelAccessToken, channelSecret, destination }
+   */
+  getAllBotConfigs() {
+    return this.listBots()
+      .filter(bot => bot.channelSecret && bot.channelAccessToken)
+      .map(bot => ({
+        key: bot.botKey,
+        channelAccessToken: bot.channelAccessToken,
+        channelSecret: bot.channelSecret,
+        destination: bot.destination || null
+      }));
+  }
+
+  /**
+   * Get the key of the bot a destination is bound to
+   * @returns {string|null} Bot key
+   */
+  findBotKeyByDestination(destination) {
+    this.loadRegistry();
+    return Object.keys(this.bots).find(botKey => this.bots[botKey].destination === destination) || null;
+  }
+
+  /**
+   * Record that a webhook for a destination was signed with a bot's secret.
+   * Binds the destination to the bot if neither is bound yet, otherwise keeps
+   * it as discovered for an admin to review.
+   * @param {string} destination - Bot user ID from the webhook
+   * @param {string} botKey - Key of the bot whose secret validated the webhook
+   */
+  recordDestination(destination, botKey) {
+    if (!destination || !this.getBot(botKey)) {
+      return;
+    }
+
+    const boundBotKey = this.findBotKeyByDestination(destination);
+    if (boundBotKey === botKey) {
+      return;
+    }
+
+    if (!boundBotKey && !this.bots[botKey].destination) {
+      this.bots[botKey].destination = destination;
+      this.bots[botKey].updatedAt = Date.now();
+      delete this.discovered[destination];
+      this.saveRegistry();
+      logger.info(`Bound destination ${destination} to LINE bot ${botKey}`);
+      return;
+    }
+
+    const existing = this.discovered[destination];
+    if (existing && existing.botKey === botKey) {
+      return;
+    }
+
+    this.discovered[destination] = { botKey, discoveredAt: Date.now() };
+    this.saveRegistry();
+    logger.warn(`Discovered destination ${destination} signed by LINE bot ${botKey}, which is bound to ${this.bots[botKey].destination || 'nothing'}${boundBotKey ? ` (destination is bound to ${boundBotKey})` : ''}`);
+  }
+
+  /**
+   * List destinations seen in webhooks but not bound to any bot
+   * @returns {array} { destination, botKey, discoveredAt }
+   */
+  listDiscoveredDestinations() {
+    this.loadRegistry();
+    return Object.keys(this.discovered)
+      .filter(destination => !this.findBotKeyByDestination(destination))
+      .map(destination => ({ destination, ...this.discovered[destination] }));
+  }
+
+  /**
+   * Bind a destination to a bot, replacing its current destination
+   * @returns {boolean} Success status
+   */
+  bindDestination(botKey, destination) {
+    this.loadRegistry();
+
+    if (!this.bots[botKey]) {
+      logger.error(`Bot ${botKey} not found`);
+      return false;
+    }
+
+    // A destination belongs to exactly one bot
+    Object.values(this.bots).forEach(bot => {
+      if (bot.destination === destination) {
+        bot.destination = null;
+      }
+    });
+    this.bots[botKey].destination = destination;
+    this.bots[botKey].updatedAt = Date.now();
+    delete this.discovered[destination];
+    return this.saveRegistry();
+  }
+
+  /**
+   * Forget a discovered destination
+   * @returns {boolean} True if it was discovered
+   */
+  dismissDestination(destination) {
+    this.loadRegistry();
+
+    if (!this.discovered[destination]) {
+      return false;
+    }
+
+    delete this.discovered[destination];
+    return this.saveRegistry();
+  }
+
+  /**
+   * Create a bot
+   * @param {string} botKey - Unique bot identifier
+   * @param {object} bot - { name, channelSecret, channelAccessToken, destination, rateLimit }
+   * @returns {boolean} Success status
+   */
+  createBot(botKey, bot) {
+    this.loadRegistry();
+
+    if (this.bots[botKey]) {
+      logger.error(`Bot ${botKey} already exists`);
+      return false;
+    }
+
+    this.bots[botKey] = {
+      name: bot.name,
+      channelSecret: bot.channelSecret,
+      channelAccessToken: bot.channelAccessToken,
+      destination: bot.destination || null,
+      rateLimit: bot.rateLimit || null,
+      createdAt: Date.now()
+    };
+    return this.saveRegistry();
+  }
+
+  /**
+   * Update a bot. Fields left undefined keep their current value.
+   * @param {string} botKey - Bot identifier
+   * @param {object} updates - { name, channelSecret, channelAccessToken, destination, rateLimit }
+   * @returns {boolean} Success status
+   */
+  updateBot(botKey, updates) {
+    this.loadRegistry();
+
+    if (!this.bots[botKey]) {
+      logger.error(`Bot ${botKey} not found`);
+      return false;
+    }
+
+    const bot = this.bots[botKey];
+    ['name', 'channelSecret', 'channelAccessToken', 'destination', 'rateLimit'].forEach(field => {
+      if (updates[field] !== undefined) {
+        bot[field] = updates[field];
+      }
+    });
+    bot.updatedAt = Date.now();
+    return this.saveRegistry();
+  }
+
+  /**
+   * Delete a bot
+   * @param {string} botKey - Bot identifier
+   * @returns {boolean} Success status
+   */
+  deleteBot(botKey) {
+    this.loadRegistry();
+
+    if (!this.bots[botKey]) {
+      logger.error(`Bot ${botKey} not found`);
+      return false;
+    }
+
+    delete this.bots[botKey];
+    Object.keys(this.discovered).forEach(destination => {
+      if (this.discovered[destination].botKey === botKey) {
+        delete this.discovered[destination];
+      }
+    });
+    return this.saveRegistry();
+  }
+}
+
+module.exports = new BotRegistryService();
@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const lineConfig = require('../config/line.config');
+const queueConfig = require('../config/queue.config');
+const { createStore } = require('../stores/store.factory');
+const logger = require('../utils/logger.util');
+const { LINE_LIMITS, splitText } = require('../utils/line-message.util');
+const queueService = require('./queue.service');
+const roleService = require('./role.service');
+const botRegistryService = require('./bot-registry.service');
+const geminiService = require('./gemini.service');
+const { getClient } = require('./line.service');
+
+const CAMPAIGN_JOB = 'line-campaign';
+const SEGMENT_TYPES = ['role', 'groups', 'followers'];
+const FOLLOWERS_RECIPIENT = 'all-followers';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rate limits, server errors and network failures may succeed on a later attempt
+function isRetryable(err) {
+  return !err.statusCode || err.statusCode === 429 || err.statusCode >= 500;
+}
+
+/**
+ * Push campaigns: a message sent by an admin to a segment of a bot's audience
+ *
+ * Segments are every user mapped to a role (multicast), a list of groups
+ * (push, one group at a time) or all followers of the bot (broadcast).
+ * Campaigns are sent by the job queue, at their scheduled time if they have one,
+ * and every recipient gets a delivery log entry. Failed deliveries that LINE may
+ * accept later are retried by the queue; recipients already reached are skipped.
+ */
+class CampaignService {
+  constructor(
+    campaignStore = createStore('campaigns', { adapter: queueConfig.adapter }),
+    deliveryStore = createStore('campaign-deliveries', { adapter: queueConfig.adapter })
+  ) {
+    this.campaigns = campaignStore;
+    // `${campaignId}:${recipient}` -> { campaignId, to, status, error, retryable, attempts, updatedAt }
+    this.deliveries = deliveryStore;
+
+    queueService.registerHandler(CAMPAIGN_JOB, ({ campaignId }, job) => this.sendCampaign(campaignId, job));
+  }
+
+  /**
+   * Split campaign text into LINE text messages
+   */
+  buildMessages(text) {
+    return splitText(text).map(chunk => ({ type: 'text', text: chunk }));
+  }
+
+  /**
+   * Check a campaign before it is created
+   * @param {object} campaign - { botKey, name, text, segment, scheduledAt }
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateCampaign(campaign) {
+    if (!campaign.botKey || !botRegistryService.getBot(campaign.botKey)) {
+      return 'botKey must be a registered bot';
+    }
+    if (!campaign.name || typeof campaign.name !== 'string') {
+      return 'Campaign name is required';
+    }
+    if (!campaign.text || typeof campaign.text !== 'string' || !campaign.text.trim()) {
+      return 'Message text is required';
+    }
+    if (this.buildMessages(campaign.text).length > LINE_LIMITS.messagesPerRequest) {
+      return `Message text must fit in ${LINE_LIMITS.messagesPerRequest} LINE messages (${LINE_LIMITS.messagesPerRequest * LINE_LIMITS.textLength} characters)`;
+    }
+
+    const segment = campaign.segment || {};
+    if (!SEGMENT_TYPES.includes(segment.type)) {
+      return `segment.type must be one of: ${SEGMENT_TYPES.join(', ')}`;
+    }
+    if (segment.type === 'role' && !roleService.roleExists(segment.roleId)) {
+      return 'segment.roleId must be an existing role';
+    }
+    if (segment.type === 'groups' &&
+        (!Array.isArray(segment.groupIds) || segment.groupIds.length === 0 || segment.groupIds.some(groupId => typeof groupId !== 'string' || !groupId))) {
+      return 'segment.groupIds must be a non-empty array of LINE group IDs';
+    }
+
+    if (campaign.scheduledAt !== undefined && campaign.scheduledAt !== null && isNaN(new Date(campaign.scheduledAt).getTime())) {
+      return 'scheduledAt must be a valid date';
+    }
+    return null;
+  }
+
+  /**
+   * Create a campaign and queue it for sending
+   * @param {object} data - { botKey, name, text, segment, scheduledAt } (see validateCampaign)
+   * @returns {object} Campaign
+   */
+  createCampaign(data) {
+    const scheduledAt = data.scheduledAt ? new Date(data.scheduledAt).getTime() : null;
+    const segment = { type: data.segment.type };
+    if (segment.type === 'role') {
+      segment.roleId = data.segment.roleId;
+    } else if (segment.type === 'groups') {
+      segment.groupIds = Array.from(new Set(data.segment.groupIds));
+    }
+
+    const campaign = {
+      id: crypto.randomUUID(),
+      botKey: data.botKey,
+      name: data.name,
+      text: data.text.trim(),
+      segment,
+      status: scheduledAt && scheduledAt > Date.now() ? 'scheduled' : 'queued',
+      scheduledAt,
+      createdAt: Date.now(),
+      startedAt: null,
+      completedAt: null,
+      totals: { recipients: 0, sent: 0, failed: 0 },
+      lastError: null
+    };
+
+    this.campaigns.set(campaign.id, campaign);
+    queueService.enqueue(CAMPAIGN_JOB, { campaignId: campaign.id }, {
+      groupKey: `campaign:${campaign.id}`,
+      runAt: scheduledAt || undefined
+    });
+    logger.info(`Campaign ${campaign.id} (${campaign.name}) ${campaign.status} for LINE bot ${campaign.botKey}, segment: ${segment.type}`);
+    return campaign;
+  }
+
+  /**
+   * List campaigns, newest first
+   */
+  listCampaigns() {
+    return Array.from(this.campaigns.values()).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  getCampaign(campaignId) {
+    return this.campaigns.get(campaignId) || null;
+  }
+
+  /**
+   * Cancel a campaign that hasn't started sending
+   * @returns {boolean} True if the campaign was cancelled
+   */
+  cancelCampaign(campaignId) {
+    const campaign = this.campaigns.get(campaignId);
+    if (!campaign || !['scheduled', 'queued'].includes(campaign.status)) {
+      return false;
+    }
+
+    campaign.status = 'cancelled';
+    campaign.completedAt = Date.now();
+    this.campaigns.set(campaignId, campaign);
+    logger.info(`Campaign ${campaignId} cancelled`);
+    return true;
+  }
+
+  /**
+   * Get a campaign's per-recipient delivery log
+   */
+  listDeliveries(campaignId) {
+    return Array.from(this.deliveries.values())
+      .filter(delivery => delivery.campaignId === campaignId)
+      .sort((a, b) => a.updatedAt - b.updatedAt);
+  }
+
+  /**
+   * Draft a campaign message with Gemini in a role's voice
+   * @param {string} roleId - Role whose system prompt and model are used
+   * @param {string} prompt - What the message should say
+   * @returns {Promise<string>} Draft message text
+   */
+  async draftMessage(roleId, prompt) {
+    const roleConfig = roleService.getRoleConfig(roleId);
+    const messages = [
+      { role: 'user', content: roleConfig.systemPrompt.user },
+      { role: 'model', content: roleConfig.systemPrompt.model },
+      { role: 'user', content: prompt }
+    ];
+
+    const response = await geminiService.chat(messages, {
+      model: roleConfig.geminiModel,
+      pinnedCount: 2,
+      systemInstruction: lineConfig.campaigns.draftInstruction
+    });
+    return response.reply.trim();
+  }
+
+  /**
+   * Users mapped to the segment's role, or the segment's groups.
+   * Followers have no list: they are reached with a single broadcast.
+   */
+  resolveRecipients(segment) {
+    if (segment.type === 'role') {
+      return Object.entries(roleService.getUserRoleMappings())
+        .filter(([, roleId]) => roleId === segment.roleId)
+        .map(([userId]) => userId);
+    }
+    if (segment.type === 'groups') {
+      return segment.groupIds;
+    }
+    return [FOLLOWERS_RECIPIENT];
+  }
+
+  recordDelivery(campaignId, to, error = null) {
+    const key = `${campaignId}:${to}`;
+    const delivery = this.deliveries.get(key) || { campaignId, to, attempts: 0 };
+    delivery.status = error ? 'failed' : 'sent';
+    delivery.error = error ? error.message : null;
+    delivery.retryable = Boolean(error && isRetryable(error));
+    delivery.attempts += 1;
+    delivery.updatedAt = Date.now();
+    this.deliveries.set(key, delivery);
+  }
+
+  /**
+   * Send a campaign (job queue handler). A retried job only resends deliveries
+   * that failed with a retryable error.
+   */
+  async sendCampaign(campaignId, job) {
+    const campaign = this.campaigns.get(campaignId);
+    if (!campaign || campaign.status === 'cancelled') {
+      logger.info(`Skipping campaign ${campaignId}: ${campaign ? 'cancelled' : 'not found'}`);
+      return;
+    }
+
+    const bot = botRegistryService.getBot(campaign.botKey);
+    if (!bot) {
+      this.completeCampaign(campaign, `LINE bot ${campaign.botKey} is no longer registered`);
+      return;
+    }
+
+    campaign.status = 'sending';
+    campaign.startedAt = campaign.startedAt || Date.now();
+    this.campaigns.set(campaignId, campaign);
+
+    const client = getClient(bot.destination, bot);
+    const messages = this.buildMessages(campaign.text);
+    const recipients = this.resolveRecipients(campaign.segment);
+    const pending = recipients.filter(to => {
+      const delivery = this.deliveries.get(`${campaignId}:${to}`);
+      return !delivery || delivery.retryable;
+    });
+    campaign.totals.recipients = recipients.length;
+
+    logger.info(`Sending campaign ${campaignId} to ${pending.length} of ${recipients.length} recipient(s) (attempt ${job.attempt})`);
+
+    let retryableFailures = 0;
+    const send = async (to, request) => {
+      try {
+        await request();
+        this.recordDelivery(campaignId, to);
+      } catch (err) {
+        this.recordDelivery(campaignId, to, err);
+        if (isRetryable(err)) {
+          retryableFailures++;
+        }
+        logger.error(`Campaign ${campaignId} delivery to ${to} failed: ${err.message}`);
+      }
+    };
+
+    if (campaign.segment.type === 'followers') {
+      if (pending.length > 0) {
+        await send(FOLLOWERS_RECIPIENT, () => client.broadcast(messages));
+      }
+    } else if (campaign.segment.type === 'role') {
+      // Multicast reaches up to 500 users per request; the whole batch shares one outcome
+      const batchSize = lineConfig.campaigns.multicastBatchSize;
+      for (let i = 0; i < pending.length; i += batchSize) {
+        const batch = pending.slice(i, i + batchSize);
+        try {
+          await client.multicast(batch, messages);
+          batch.forEach(userId => this.recordDelivery(campaignId, userId));
+        } catch (err) {
+          batch.forEach(userId => this.recordDelivery(campaignId, userId, err));
+          if (isRetryable(err)) {
+            retryableFailures += batch.length;
+          }
+          logger.error(`Campaign ${campaignId} multicast to ${batch.length} user(s) failed: ${err.message}`);
+        }
+        await sleep(lineConfig.campaigns.throttleMs);
+      }
+    } else {
+      for (const groupId of pending) {
+        await send(groupId, () => client.pushMessage(groupId, messages));
+        await sleep(lineConfig.campaigns.throttleMs);
+      }
+    }
+
+    if (retryableFailures > 0 && !job.isFinalAttempt) {
+      this.updateTotals(campaign);
+      this.campaigns.set(campaignId, campaign);
+      throw new Error(`${retryableFailures} campaign deliveries failed and will be retried`);
+    }
+    this.completeCampaign(campaign);
+  }
+
+  updateTotals(campaign) {
+    const deliveries = this.listDeliveries(campaign.id);
+    campaign.totals.sent = deliveries.filter(delivery => delivery.status === 'sent').length;
+    campaign.totals.failed = deliveries.filter(delivery => delivery.status === 'failed').length;
+  }
+
+  completeCampaign(campaign, error = null) {
+    this.updateTotals(campaign);
+    campaign.status = error || (campaign.totals.failed > 0 && campaign.totals.sent === 0) ? 'failed' : 'sent';
+    campaign.lastError = error;
+    campaign.completedAt = Date.now();
+    this.campaigns.set(campaign.id, campaign);
+    logger.info(`Campaign ${campaign.id} ${campaign.status}: ${campaign.totals.sent} sent, ${campaign.totals.failed} failed${error ? ` (${error})` : ''}`);
+  }
+}
+
+module.exports = new CampaignService();
@@ -0,0 +1,132 @@
+const commandConfig = require('../config/command.config');
+const logger = require('../utils/logger.util');
+
+const PERMISSIONS = ['anyone', 'admin'];
+
+/**
+ * Registry of in-chat slash commands (/help, /reset, ...)
+ *
+ * A command is { name, description, usage, permission, handler } where
+ * permission is 'anyone' or 'admin' (LINE user IDs in commandConfig.adminUserIds)
+ * and handler(args, context) returns (or resolves to) the reply text.
+ *
+ * Commands run the same way in every channel. The channel builds the context:
+ * { channel, userId, groupId, destination, sessionId, roleConfig, language,
+ *   resetConversation(), switchRole(roleId), setLanguage(code) }, and the
+ * registry adds isAdmin, argText (everything after the command name, as typed)
+ * and the commands the caller may use.
+ */
+class CommandService {
+  constructor() {
+    this.commands = new Map();
+
+    // Built-in commands
+    this.registerAll(require('../commands/core.commands'));
+  }
+
+  /**
+   * Register a command
+   * @param {object} command - { name, description, usage, permission, handler }
+   */
+  register(command) {
+    if (!command || !command.name || typeof command.handler !== 'function') {
+      throw new Error('Command must have a name and a handler function');
+    }
+
+    const permission = command.permission || 'anyone';
+    if (!PERMISSIONS.includes(permission)) {
+      throw new Error(`Command ${command.name} has an unknown permission: ${permission}`);
+    }
+
+    const name = command.name.toLowerCase();
+    if (this.commands.has(name)) {
+      logger.warn(`Command /${name} is already registered, replacing it`);
+    }
+
+    this.commands.set(name, { ...command, name, permission });
+  }
+
+  /**
+   * Register a list of commands
+   * @param {array} commands - Command definitions
+   */
+  registerAll(commands) {
+    commands.forEach(command => this.register(command));
+  }
+
+  has(name) {
+    return this.commands.has(name.toLowerCase());
+  }
+
+  isAdmin(userId) {
+    return Boolean(userId) && commandConfig.adminUserIds.includes(userId);
+  }
+
+  /**
+   * List commands (without handlers)
+   * @param {boolean} includeAdmin - Include admin-only commands
+   */
+  listCommands(includeAdmin = true) {
+    return Array.from(this.commands.values())
+      .filter(command => includeAdmin || command.permission === 'anyone')
+      .map(command => ({
+        name: command.name,
+        description: command.description,
+        usage: command.usage || `/${command.name}`,
+        permission: command.permission
+      }));
+  }
+
+  /**
+   * Parse a chat message as a registered command
+   * Messages that aren't registered commands (e.g. "/etc/hosts 是什麼？") return null
+   * and are handled as normal chat.
+   * @returns {object|null} { name, args, argText }
+   */
+  parse(text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed.startsWith('/')) {
+      return null;
+    }
+
+    const [name, ...args] = trimmed.slice(1).split(/\s+/);
+    if (!name || !this.has(name)) {
+      return null;
+    }
+
+    return { name: name.toLowerCase(), args, argText: trimmed.slice(name.length + 1).trim() };
+  }
+
+  /**
+   * Run a command
+   * Errors are returned as the reply instead of being thrown
+   * @param {object} command - Parsed command from parse()
+   * @param {object} context - Channel context (see class comment)
+   * @returns {Promise<string>} Reply text
+   */
+  async execute(command, context) {
+    const definition = this.commands.get(command.name);
+    const isAdmin = this.isAdmin(context.userId);
+
+    if (definition.permission === 'admin' && !isAdmin) {
+      logger.warn(`Denied admin command /${command.name}`, { channel: context.channel, userId: context.userId });
+      return '這個指令只有管理員可以使用。';
+    }
+
+    try {
+      const reply = await definition.handler(command.args, {
+        ...context,
+        isAdmin,
+        argText: command.argText,
+        commands: this.listCommands(isAdmin)
+      });
+      logger.info('Command executed', { command: command.name, channel: context.channel, userId: context.userId });
+      return reply;
+    } catch (error) {
+      logger.error('Command failed', { command: command.name, error: error.message });
+      return '指令執行失敗，請稍後再試。';
+    }
+  }
+}
+
+module.exports = new CommandService();
@@ -0,0 +1,144 @@
+const lineConfig = require('../config/line.config');
+const { createStore } = require('../stores/store.factory');
+const logger = require('../utils/logger.util');
+
+/**
+ * Contact directory of LINE users and groups
+ *
+ * Profiles (display name, picture, language) and group summaries are fetched
+ * the first time a user or group is seen and cached, then refetched once they
+ * are older than lineConfig.contacts.refreshAfter. Lookups never fail an event:
+ * errors are logged and the conversation goes on without the profile.
+ */
+class ContactService {
+  constructor(store = createStore('contacts')) {
+    // user or group ID -> { id, type, displayName, pictureUrl, language, preferredLanguage, fetchedAt }
+    // (preferredLanguage is set with /lang and survives profile refreshes)
+    this.contacts = store;
+    // In-flight fetches, so concurrent events for one user share a single request
+    this.pending = new Map();
+  }
+
+  getContact(id) {
+    return this.contacts.get(id) || null;
+  }
+
+  /**
+   * Get cached contacts for a list of IDs
+   * @returns {object} ID -> contact, for IDs in the directory
+   */
+  getContacts(ids) {
+    const contacts = {};
+    ids.forEach(id => {
+      const contact = this.contacts.get(id);
+      if (contact) {
+        contacts[id] = contact;
+      }
+    });
+    return contacts;
+  }
+
+  /**
+   * Search contacts by display name or ID
+   * @param {string} query - Case-insensitive text to look for
+   * @param {object} options - { type: 'user' | 'group', limit }
+   * @returns {array} Matching contacts, by display name
+   */
+  search(query = '', options = {}) {
+    const needle = query.trim().toLowerCase();
+    const limit = options.limit || 100;
+
+    return Array.from(this.contacts.values())
+      .filter(contact => !options.type || contact.type === options.type)
+      .filter(contact => !needle ||
+        (contact.displayName && contact.displayName.toLowerCase().includes(needle)) ||
+        contact.id.toLowerCase().includes(needle))
+      .sort((a, b) => (a.displayName || a.id).localeCompare(b.displayName || b.id))
+      .slice(0, limit);
+  }
+
+  /**
+   * Set the reply language a user picked with /lang
+   * @param {string|null} language - Language code, or null to follow the LINE profile
+   */
+  setPreferredLanguage(userId, language) {
+    // fetchedAt 0 keeps the profile due for a fetch if it was never cached
+    const contact = this.contacts.get(userId) || { id: userId, type: 'user', displayName: null, pictureUrl: null, fetchedAt: 0 };
+    contact.preferredLanguage = language;
+    this.contacts.set(userId, contact);
+  }
+
+  isStale(id) {
+    const contact = this.contacts.get(id);
+    return !contact || Date.now() - contact.fetchedAt > lineConfig.contacts.refreshAfter;
+  }
+
+  /**
+   * Fetch a contact once at a time and store it
+   * @param {function} fetchProfile - async () => fields to store
+   */
+  async refresh(id, type, fetchProfile) {
+    if (this.pending.has(id)) {
+      return this.pending.get(id);
+    }
+
+    const request = (async () => {
+      const existing = this.contacts.get(id);
+      try {
+        const profile = await fetchProfile();
+        this.contacts.set(id, { ...existing, id, type, ...profile, fetchedAt: Date.now() });
+        logger.info(`Cached LINE ${type} profile for ${id}: ${profile.displayName}`);
+      } catch (err) {
+        logger.warn(`Could not fetch LINE ${type} profile for ${id}: ${err.message}`);
+        // Not found (e.g. the user isn't a friend of the bot): don't ask again until the next refresh
+        if (err.statusCode === 404) {
+          this.contacts.set(id, { displayName: null, pictureUrl: null, ...existing, id, type, fetchedAt: Date.now() });
+        }
+      } finally {
+        this.pending.delete(id);
+      }
+    })();
+
+    this.pending.set(id, request);
+    return request;
+  }
+
+  /**
+   * Make sure the user and group behind an event source are in the directory
+   * @param {object} source - LINE event source
+   * @param {object} client - LINE client of the bot that received the event
+   * @returns {Promise<object|null>} The user's contact, if known
+   */
+  async ensureContacts(source, client) {
+    const requests = [];
+    const { userId, groupId, roomId } = source;
+
+    if (userId && this.isStale(userId)) {
+      requests.push(this.refresh(userId, 'user', async () => {
+        // Group and room member profiles have no language; only a friend's own profile does
+        const profile = groupId
+          ? await client.getGroupMemberProfile(groupId, userId)
+          : roomId
+            ? await client.getRoomMemberProfile(roomId, userId)
+            : await client.getProfile(userId);
+        const fields = { displayName: profile.displayName, pictureUrl: profile.pictureUrl || null };
+        if (profile.language) {
+          fields.language = profile.language;
+        }
+        return fields;
+      }));
+    }
+
+    if (groupId && this.isStale(groupId)) {
+      requests.push(this.refresh(groupId, 'group', async () => {
+        const summary = await client.getGroupSummary(groupId);
+        return { displayName: summary.groupName, pictureUrl: summary.pictureUrl || null };
+      }));
+    }
+
+    await Promise.all(requests);
+    return userId ? this.getContact(userId) : null;
+  }
+}
+
+module.exports = new ContactService();
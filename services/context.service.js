@@ -0,0 +1,119 @@
+const geminiConfig = require('../config/gemini.config');
+const logger = require('../utils/logger.util');
+
+// CJK ideographs, kana and full-width punctuation are roughly one token each
+const CJK_REGEX = /[\u3000-\u303f\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uff00-\uffef]/g;
+
+class ContextService {
+  /**
+   * Estimate the token count of a text without calling the API
+   * CJK characters count as one token, other text as ~4 characters per token
+   */
+  estimateTokens(text) {
+    if (!text) return 0;
+
+    const cjkCount = (text.match(CJK_REGEX) || []).length;
+    const otherLength = text.length - cjkCount;
+    return cjkCount + Math.ceil(otherLength / 4);
+  }
+
+  /**
+   * Estimate the token count of a list of chat messages
+   */
+  estimateMessageTokens(messages) {
+    // Each message carries a few tokens of role/turn overhead
+    return messages.reduce((sum, msg) => sum + this.estimateTokens(msg.content) + 4, 0);
+  }
+
+  /**
+   * Count tokens for chat messages with the SDK's countTokens,
+   * falling back to the local estimate if the API call fails
+   * @param {array} messages - Messages in { role, content } format
+   * @param {object} model - GenerativeModel instance
+   */
+  async countTokens(messages, model) {
+    try {
+      const result = await model.countTokens({
+        contents: messages.map(msg => ({
+          role: msg.role === 'model' ? 'model' : 'user',
+          parts: [{ text: msg.content }]
+        }))
+      });
+      return result.totalTokens;
+    } catch (error) {
+      logger.warn('countTokens failed, using local estimate', { error: error.message });
+      return this.estimateMessageTokens(messages);
+    }
+  }
+
+  /**
+   * Get the prompt token budget for a model
+   */
+  getBudget(modelName) {
+    const budgets = geminiConfig.contextWindow.budgets;
+    const shortName = modelName ? modelName.replace(/^models\//, '') : null;
+    return budgets[shortName] || budgets.default;
+  }
+
+  /**
+   * Trim chat messages to fit the model's token budget.
+   * The first `pinnedCount` messages (the role's system prompt pair) are always kept,
+   * as is the latest message. The oldest turns in between are dropped first, and the
+   * remaining history always starts with a user message.
+   * @param {array} messages - Full conversation in { role, content } format
+   * @param {object} options - { modelName, model, pinnedCount }
+   * @returns {object} { messages, tokenCount, droppedCount }
+   */
+  async fitToBudget(messages, options = {}) {
+    const { modelName, model, pinnedCount = 0 } = options;
+    const budget = this.getBudget(modelName);
+
+    let tokenCount = this.estimateMessageTokens(messages);
+
+    // Calibrate the local estimate against the API once per call when configured
+    let scale = 1;
+    if (geminiConfig.contextWindow.tokenCounter === 'api' && model) {
+      const apiCount = await this.countTokens(messages, model);
+      if (tokenCount > 0) {
+        scale = apiCount / tokenCount;
+      }
+      tokenCount = apiCount;
+    }
+
+    if (tokenCount <= budget) {
+      return { messages, tokenCount, droppedCount: 0 };
+    }
+
+    const pinned = messages.slice(0, pinnedCount);
+    const rest = messages.slice(pinnedCount);
+    let droppedCount = 0;
+
+    while (rest.length > 1 && tokenCount > budget) {
+      const removed = rest.shift();
+      tokenCount -= Math.round((this.estimateTokens(removed.content) + 4) * scale);
+      droppedCount++;
+
+      // Drop the model reply belonging to the removed turn as well
+      while (rest.length > 1 && rest[0].role !== 'user') {
+        const orphan = rest.shift();
+        tokenCount -= Math.round((this.estimateTokens(orphan.content) + 4) * scale);
+        droppedCount++;
+      }
+    }
+
+    logger.info('Chat history trimmed to fit context budget', {
+      model: modelName,
+      budget,
+      tokenCount,
+      droppedCount
+    });
+
+    return {
+      messages: [...pinned, ...rest],
+      tokenCount,
+      droppedCount
+    };
+  }
+}
+
+module.exports = new ContextService();
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const { createStore } = require('../stores/store.factory');
+
+/**
+ * Sales leads and support tickets created by LINE roles through tools
+ */
+class CrmService {
+  constructor() {
+    this.leads = createStore('leads');
+    this.tickets = createStore('tickets');
+  }
+
+  /**
+   * Find the record a request already created
+   * @param {object} store - Leads or tickets store
+   * @param {string} requestKey - Key passed when the record was created
+   * @returns {object|null} Existing record
+   */
+  findByRequestKey(store, requestKey) {
+    if (!requestKey) {
+      return null;
+    }
+    return Array.from(store.values()).find(record => record.requestKey === requestKey) || null;
+  }
+
+  /**
+   * Create a sales lead
+   * @param {object} lead - { name, contact, company, requirement }
+   * @param {object} source - Where the lead came from (e.g. { userId, groupId, roleId })
+   * @param {string} requestKey - Optional key of the request creating it; a second call
+   *   with the same key returns the existing lead
+   * @returns {object} Created lead
+   */
+  createLead(lead, source = {}, requestKey = null) {
+    const existing = this.findByRequestKey(this.leads, requestKey);
+    if (existing) {
+      return existing;
+    }
+
+    const record = {
+      id: crypto.randomUUID(),
+      name: lead.name,
+      contact: lead.contact,
+      company: lead.company || '',
+      requirement: lead.requirement || '',
+      source,
+      requestKey,
+      status: 'new',
+      createdAt: Date.now()
+    };
+
+    this.leads.set(record.id, record);
+    return record;
+  }
+
+  /**
+   * List leads, newest first
+   */
+  listLeads() {
+    return Array.from(this.leads.values()).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Open a technical support ticket
+   * @param {object} ticket - { subject, description, priority }
+   * @param {object} source - Where the ticket came from
+   * @param {string} requestKey - Optional key of the request opening it; a second call
+   *   with the same key returns the existing ticket
+   * @returns {object} Created ticket
+   */
+  openTicket(ticket, source = {}, requestKey = null) {
+    const existing = this.findByRequestKey(this.tickets, requestKey);
+    if (existing) {
+      return existing;
+    }
+
+    const record = {
+      // Short, readable ID; the random suffix keeps tickets opened in the same millisecond apart
+      id: `T${Date.now().toString(36).toUpperCase()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+      subject: ticket.subject,
+      description: ticket.description || '',
+      priority: ticket.priority || 'normal',
+      source,
+      requestKey,
+      status: 'open',
+      createdAt: Date.now()
+    };
+
+    this.tickets.set(record.id, record);
+    return record;
+  }
+
+  /**
+   * List tickets, newest first
+   */
+  listTickets() {
+    return Array.from(this.tickets.values()).sort((a, b) => b.createdAt - a.createdAt);
+  }
+}
+
+module.exports = new CrmService();
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const { createStore } = require('../stores/store.factory');
+const logger = require('../utils/logger.util');
+
+/**
+ * Feedback users leave with the /feedback command, listed in the admin dashboard
+ */
+class FeedbackService {
+  constructor(store = createStore('feedback')) {
+    // feedback ID -> { id, channel, userId, groupId, sessionId, roleId, text, createdAt }
+    this.feedback = store;
+  }
+
+  /**
+   * Store a piece of feedback
+   * @param {object} entry - { channel, userId, groupId, sessionId, roleId, text }
+   * @returns {object} Stored feedback
+   */
+  record(entry) {
+    const feedback = {
+      id: crypto.randomUUID(),
+      channel: entry.channel,
+      userId: entry.userId || null,
+      groupId: entry.groupId || null,
+      sessionId: entry.sessionId || null,
+      roleId: entry.roleId || null,
+      text: entry.text,
+      createdAt: Date.now()
+    };
+
+    this.feedback.set(feedback.id, feedback);
+    logger.info('Feedback received', { channel: feedback.channel, userId: feedback.userId, roleId: feedback.roleId });
+    return feedback;
+  }
+
+  /**
+   * List feedback, newest first
+   */
+  listFeedback() {
+    return Array.from(this.feedback.values()).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  deleteFeedback(feedbackId) {
+    return this.feedback.delete(feedbackId);
+  }
+}
+
+module.exports = new FeedbackService();
@@ -1,5 +1,7 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const geminiConfig = require('../config/gemini.config');
+const contextService = require('./context.service');
+const toolService = require('./tool.service');
 
 class GeminiService {
   constructor() {
@@ -54,30 +56,74 @@ class GeminiService {
 
   /**
    * Multi-turn chat conversation
+   * @param {array} messages - Full conversation in { role, content } format
+   * @param {object} options - { model, pinnedCount, tools, toolContext, attachments, systemInstruction }
+   *   pinnedCount is the number of leading messages (system prompt pair) kept when
+   *   trimming to the token budget; tools is a list of registered tool names the
+   *   model may call, and toolContext is passed to each tool handler along with callIndex,
+   *   how many earlier calls of the same tool this request made (tools use it with
+   *   toolContext.eventId to recognize a retried event and not repeat side effects).
+   *   attachments ({ data: base64, mimeType }) are sent as inline parts with the last message,
+   *   and systemInstruction is extra guidance for this request that is not part of the history
    */
   async chat(messages, options = {}) {
     try {
       const modelName = this.normalizeModelName(options.model) || geminiConfig.models.flash;
+      const functionDeclarations = toolService.getDeclarations(options.tools);
 
       const model = this.genAI.getGenerativeModel({
         model: modelName,
         generationConfig: geminiConfig.generationConfig,
         safetySettings: geminiConfig.safetySettings,
+        tools: functionDeclarations.length > 0 ? [{ functionDeclarations }] : undefined,
+        systemInstruction: options.systemInstruction
+      });
+
+      // Only send as much history as fits the model's context budget
+      const context = await contextService.fitToBudget(messages, {
+        modelName,
+        model,
+        pinnedCount: options.pinnedCount || 0
       });
 
       // Convert messages to Gemini format
-      const history = messages.slice(0, -1).map(msg => ({
+      const history = context.messages.slice(0, -1).map(msg => ({
         role: msg.role === 'model' ? 'model' : 'user',
         parts: [{ text: msg.content }],
       }));
 
       const chat = model.startChat({ history });
       const lastMessage = messages[messages.length - 1];
-      const result = await chat.sendMessage(lastMessage.content);
+      const attachments = options.attachments || [];
+      const content = attachments.length > 0
+        ? [{ text: lastMessage.content }, ...attachments.map(({ data, mimeType }) => ({ inlineData: { data, mimeType } }))]
+        : lastMessage.content;
+      let result = await chat.sendMessage(content);
+
+      // Agent loop: run the tools the model asks for until it answers with text
+      const toolCalls = [];
+      for (let step = 0; step < geminiConfig.tools.maxSteps; step++) {
+        const calls = result.response.functionCalls() || [];
+        if (calls.length === 0) break;
+
+        const functionResponses = [];
+        for (const call of calls) {
+          const callIndex = toolCalls.filter(previous => previous.name === call.name).length;
+          const output = await toolService.execute(call.name, call.args, { ...options.toolContext, callIndex });
+          toolCalls.push({ name: call.name, arguments: call.args, result: output });
+          functionResponses.push({
+            functionResponse: { name: call.name, response: output }
+          });
+        }
+
+        result = await chat.sendMessage(functionResponses);
+      }
+
       const response = result.response;
 
       return {
         reply: response.text(),
+        toolCalls,
         conversationHistory: messages.concat({
           role: 'model',
           content: response.text()
@@ -88,6 +134,47 @@ class GeminiService {
     }
   }
 
+  /**
+   * Multi-turn chat conversation with a streamed reply
+   * Yields text chunks as they arrive. Options are the same as chat(), plus
+   * `signal` (AbortSignal) to cancel the request and `onUsage` to receive token usage.
+   */
+  async *chatStream(messages, options = {}) {
+    try {
+      const modelName = this.normalizeModelName(options.model) || geminiConfig.models.flash;
+
+      const model = this.genAI.getGenerativeModel({
+        model: modelName,
+        generationConfig: geminiConfig.generationConfig,
+        safetySettings: geminiConfig.safetySettings,
+        systemInstruction: options.systemInstruction
+      });
+
+      // Only send as much history as fits the model's context budget
+      const context = await contextService.fitToBudget(messages, {
+        modelName,
+        model,
+        pinnedCount: options.pinnedCount || 0
+      });
+
+      const history = context.messages.slice(0, -1).map(msg => ({
+        role: msg.role === 'model' ? 'model' : 'user',
+        parts: [{ text: msg.content }],
+      }));
+
+      const chat = model.startChat({ history });
+      const lastMessage = messages[messages.length - 1];
+      const result = await chat.sendMessageStream(lastMessage.content, { signal: options.signal });
+
+      for await (const chunk of result.stream) {
+        this.reportUsage(chunk, options.onUsage);
+        yield chunk.text();
+      }
+    } catch (error) {
+      throw new Error(`Gemini chat streaming failed: ${error.message}`);
+    }
+  }
+
   /**
    * Analyze image with text prompt
    */
@@ -133,8 +220,23 @@ class GeminiService {
     }
   }
 
+  /**
+   * Pass the usage metadata of a streamed chunk to an onUsage callback
+   * (the final chunk carries the totals for the whole response)
+   */
+  reportUsage(chunk, onUsage) {
+    if (onUsage && chunk.usageMetadata) {
+      onUsage({
+        prompt: chunk.usageMetadata.promptTokenCount || 0,
+        completion: chunk.usageMetadata.candidatesTokenCount || 0,
+        total: chunk.usageMetadata.totalTokenCount || 0
+      });
+    }
+  }
+
   /**
    * Stream text generation
+   * Supports `signal` (AbortSignal) to cancel the request and `onUsage` to receive token usage
    */
   async *streamText(prompt, options = {}) {
     try {
@@ -146,9 +248,10 @@ class GeminiService {
         safetySettings: geminiConfig.safetySettings,
       });
 
-      const result = await model.generateContentStream(prompt);
+      const result = await model.generateContentStream(prompt, { signal: options.signal });
 
       for await (const chunk of result.stream) {
+        this.reportUsage(chunk, options.onUsage);
         const chunkText = chunk.text();
         yield chunkText;
       }
@@ -0,0 +1,55 @@
+const lineConfig = require('../config/line.config');
+const { createStore } = require('../stores/store.factory');
+
+/**
+ * Recent group chat the bot saw but didn't answer
+ *
+ * Groups with a mention or keyword reply policy only get answers when they
+ * address the bot. The messages in between are kept here (the last
+ * lineConfig.groupReplies.contextMessages, at most contextMaxAge old) and
+ * handed to Gemini with the next addressed message, so it knows what the
+ * group was talking about.
+ */
+class GroupContextService {
+  constructor(store = createStore('group-context')) {
+    // group ID -> [{ userId, name, text, timestamp }], oldest first
+    this.messages = store;
+  }
+
+  /**
+   * Keep an unaddressed group message
+   * @param {string} groupId - LINE group ID
+   * @param {object} message - { userId, name, text, timestamp }
+   */
+  record(groupId, message) {
+    const messages = this.getRecent(groupId);
+    messages.push(message);
+    this.messages.set(groupId, messages.slice(-lineConfig.groupReplies.contextMessages));
+  }
+
+  /**
+   * Get a group's recent unaddressed messages, oldest first
+   */
+  getRecent(groupId) {
+    const cutoff = Date.now() - lineConfig.groupReplies.contextMaxAge;
+    return (this.messages.get(groupId) || []).filter(message => message.timestamp >= cutoff);
+  }
+
+  /**
+   * Format recent messages as "name: text" lines for Gemini
+   * @returns {string|null} Null when there is nothing recent
+   */
+  formatRecent(groupId) {
+    const messages = this.getRecent(groupId);
+    if (messages.length === 0) {
+      return null;
+    }
+    return messages.map(message => `${message.name || message.userId}: ${message.text}`).join('\n');
+  }
+
+  clear(groupId) {
+    this.messages.delete(groupId);
+  }
+}
+
+module.exports = new GroupContextService();
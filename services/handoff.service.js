@@ -0,0 +1,169 @@
+const lineConfig = require('../config/line.config');
+const { createStore } = require('../stores/store.factory');
+const logger = require('../utils/logger.util');
+
+/**
+ * LINE conversations handed off to staff ("human mode")
+ *
+ * While a conversation has an open handoff the bot doesn't call Gemini: incoming
+ * messages are added to the session and show up in the admin dashboard's Live
+ * Chat inbox, and staff answer with push messages until they release the
+ * conversation back to the AI. A handoff staff haven't answered for idleTimeout
+ * is released on its own, so nobody is left waiting on an unwatched inbox.
+ * Handoffs are keyed by the LINE conversation key (see lineService.getConversationKey),
+ * so the transcript stays in one session.
+ */
+class HandoffService {
+  constructor(store = createStore('handoffs'), idleTimeout = lineConfig.handoff.idleTimeout) {
+    // conversation key -> { conversationKey, destination, to, userId, groupId, sessionId, reason,
+    //                       startedAt, lastMessageAt, lastStaffReplyAt, unread }
+    this.handoffs = store;
+    this.idleTimeout = idleTimeout;
+  }
+
+  /**
+   * Check whether a conversation is in human mode.
+   * An idle handoff is released here, so the AI answers the customer's next message.
+   */
+  isActive(conversationKey) {
+    const handoff = this.handoffs.get(conversationKey);
+    if (handoff && this.isIdle(handoff)) {
+      this.release(conversationKey, 'idle');
+      return false;
+    }
+    return Boolean(handoff);
+  }
+
+  /**
+   * No staff reply since the handoff started (or since the last reply) for idleTimeout
+   */
+  isIdle(handoff, now = Date.now()) {
+    return now - (handoff.lastStaffReplyAt || handoff.startedAt) > this.idleTimeout;
+  }
+
+  getHandoff(conversationKey) {
+    return this.handoffs.get(conversationKey) || null;
+  }
+
+  /**
+   * List open handoffs, most recent customer message first
+   */
+  listHandoffs() {
+    return Array.from(this.handoffs.values()).sort((a, b) => b.lastMessageAt - a.lastMessageAt);
+  }
+
+  /**
+   * Switch a conversation to human mode
+   * @param {string} conversationKey - LINE conversation key
+   * @param {object} details - { destination, to, userId, groupId, sessionId }
+   * @param {string} reason - 'keyword' (the customer asked for a person) or 'model' (Gemini wasn't confident)
+   * @returns {object} Handoff
+   */
+  start(conversationKey, details, reason) {
+    const existing = this.handoffs.get(conversationKey);
+    if (existing) {
+      return existing;
+    }
+
+    const handoff = {
+      conversationKey,
+      destination: details.destination || null,
+      to: details.to,
+      userId: details.userId || null,
+      groupId: details.groupId || null,
+      sessionId: details.sessionId,
+      reason,
+      startedAt: Date.now(),
+      lastMessageAt: Date.now(),
+      lastStaffReplyAt: null,
+      unread: 1
+    };
+
+    this.handoffs.set(conversationKey, handoff);
+    logger.info(`Handed off LINE conversation ${conversationKey} to staff (${reason})`);
+    return handoff;
+  }
+
+  /**
+   * Note a customer message that arrived during the handoff
+   */
+  recordIncoming(conversationKey, sessionId) {
+    const handoff = this.handoffs.get(conversationKey);
+    if (!handoff) {
+      return;
+    }
+
+    // The session is replaced if the customer runs /reset during the handoff
+    handoff.sessionId = sessionId;
+    handoff.lastMessageAt = Date.now();
+    handoff.unread += 1;
+    this.handoffs.set(conversationKey, handoff);
+  }
+
+  /**
+   * Mark the conversation as read by staff
+   */
+  markRead(conversationKey) {
+    const handoff = this.handoffs.get(conversationKey);
+    if (handoff && handoff.unread > 0) {
+      handoff.unread = 0;
+      this.handoffs.set(conversationKey, handoff);
+    }
+  }
+
+  /**
+   * Note a staff reply, which also marks the conversation as read
+   */
+  recordStaffReply(conversationKey) {
+    const handoff = this.handoffs.get(conversationKey);
+    if (!handoff) {
+      return;
+    }
+
+    handoff.lastStaffReplyAt = Date.now();
+    handoff.unread = 0;
+    this.handoffs.set(conversationKey, handoff);
+  }
+
+  /**
+   * Hand the conversation back to the AI
+   * @param {string} reason - 'staff' or 'idle', for the log
+   * @returns {object|null} The closed handoff, or null if there was none
+   */
+  release(conversationKey, reason = 'staff') {
+    const handoff = this.handoffs.get(conversationKey);
+    if (!handoff) {
+      return null;
+    }
+
+    this.handoffs.delete(conversationKey);
+    logger.info(`Released LINE conversation ${conversationKey} back to the AI (${reason})`);
+    return handoff;
+  }
+
+  /**
+   * Release idle handoffs (run periodically, so they leave the Live Chat inbox)
+   * @returns {number} Number released
+   */
+  releaseIdleHandoffs() {
+    const now = Date.now();
+    let releasedCount = 0;
+
+    for (const handoff of Array.from(this.handoffs.values())) {
+      if (this.isIdle(handoff, now)) {
+        this.release(handoff.conversationKey, 'idle');
+        releasedCount++;
+      }
+    }
+
+    return releasedCount;
+  }
+}
+
+// Release idle handoffs every minute
+const handoffService = new HandoffService();
+setInterval(() => {
+  handoffService.releaseIdleHandoffs();
+}, 60 * 1000);
+
+module.exports = handoffService;
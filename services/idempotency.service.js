@@ -0,0 +1,68 @@
+const queueConfig = require('../config/queue.config');
+const lineConfig = require('../config/line.config');
+const { createStore } = require('../stores/store.factory');
+
+/**
+ * Remembers processed keys (LINE webhookEventIds) for a TTL so redelivered
+ * webhook events can be skipped. Kept next to the job queue so it survives
+ * restarts the same way queued jobs do.
+ */
+class IdempotencyService {
+  constructor(store = createStore('webhook-events', { adapter: queueConfig.adapter }), ttl = lineConfig.dedupe.ttl) {
+    // key -> time first seen
+    this.seen = store;
+    this.ttl = ttl;
+    this.duplicates = 0;
+  }
+
+  /**
+   * Record a key unless it was already recorded within the TTL
+   * @param {string} key - Idempotency key
+   * @returns {boolean} True if the key is new, false for a duplicate
+   */
+  markIfNew(key) {
+    const seenAt = this.seen.get(key);
+    if (seenAt && Date.now() - seenAt < this.ttl) {
+      this.duplicates += 1;
+      return false;
+    }
+
+    this.seen.set(key, Date.now());
+    return true;
+  }
+
+  /**
+   * Forget keys older than the TTL
+   */
+  cleanupExpiredKeys() {
+    const now = Date.now();
+    let cleanedCount = 0;
+
+    for (const [key, seenAt] of Array.from(this.seen.entries())) {
+      if (now - seenAt >= this.ttl) {
+        this.seen.delete(key);
+        cleanedCount++;
+      }
+    }
+
+    return cleanedCount;
+  }
+
+  /**
+   * Get idempotency statistics
+   */
+  getStats() {
+    return {
+      trackedKeys: this.seen.size,
+      duplicatesSkipped: this.duplicates
+    };
+  }
+}
+
+// Run cleanup every 10 minutes
+const idempotencyService = new IdempotencyService();
+setInterval(() => {
+  idempotencyService.cleanupExpiredKeys();
+}, 10 * 60 * 1000);
+
+module.exports = idempotencyService;
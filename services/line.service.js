@@ -1,206 +1,910 @@
-const { Client } = require('@line/bot-sdk');
+const { Client, messagingApi } = require('@line/bot-sdk');
 const lineConfig = require('../config/line.config');
+const geminiConfig = require('../config/gemini.config');
 const logger = require('../utils/logger.util');
 const geminiService = require('./gemini.service');
 const sessionService = require('./session.service');
 const roleService = require('./role.service');
-
-// Create clients for all configured bots
+const summaryService = require('./summary.service');
+const replyStatsService = require('./reply-stats.service');
+const botRegistryService = require('./bot-registry.service');
+const contactService = require('./contact.service');
+const groupContextService = require('./group-context.service');
+const commandService = require('./command.service');
+const handoffService = require('./handoff.service');
+const { LINE_LIMITS, parseStructuredReply, extractReplyText, buildRichMessages, splitText } = require('../utils/line-message.util');
+
+// LINE clients, keyed by access token so a rotated token gets a fresh client
 const clients = new Map();
 
 function getClient(destination, botConfig = null) {
-  // If a specific bot config is provided, use it (from signature validation)
-  if (botConfig) {
-    const configKey = botConfig.channelAccessToken;
-    if (clients.has(configKey)) {
-      return clients.get(configKey);
-    }
+  // Use the validated config if provided (from signature validation),
+  // otherwise look the bot up in the registry on every call
+  const config = botConfig || botRegistryService.getBotConfig(destination);
+  if (!config) {
+    throw new Error(`No LINE bot registered for destination: ${destination || 'default'}`);
+  }
+
+  const configKey = config.channelAccessToken;
+  if (clients.has(configKey)) {
+    return clients.get(configKey);
+  }
 
-    // Create new client for this config
-    const client = new Client(botConfig);
-    clients.set(configKey, client);
+  const client = new Client({
+    channelAccessToken: config.channelAccessToken,
+    channelSecret: config.channelSecret
+  });
+  clients.set(configKey, client);
+
+  logger.info(`Created new LINE client for destination: ${destination || 'default'}`);
+  return client;
+}
+
+// Legacy default client (null until a bot is registered)
+const client = botRegistryService.getAllBotConfigs().length > 0 ? getClient(null) : null;
+
+// Messaging API clients (for endpoints the legacy client lacks), keyed by access token
+const messagingClients = new Map();
+
+/**
+ * Build the conversation key for a LINE event.
+ * Each bot + source type (user/group/room) + source ID keeps its own session,
+ * so the same person talking to two bots, or in a group and a direct chat,
+ * gets separate conversations.
+ */
+function getConversationKey(event, destination) {
+  const source = event.source || {};
+  const sourceType = source.type || 'user';
+  const sourceId = source.groupId || source.roomId || source.userId;
+  return `${destination || 'default'}:${sourceType}:${sourceId}`;
+}
 
-    if (destination) {
-      clients.set(destination, client);
+/**
+ * Get or create the session bound to a LINE conversation.
+ * A new session is started when the conversation has none yet or its role changed,
+ * and is seeded with the role's system prompt pair.
+ * @returns {string} Session ID
+ */
+function getConversationSession(event, destination, roleConfig) {
+  const conversationKey = getConversationKey(event, destination);
+  let sessionId = sessionService.getConversationSessionId(conversationKey);
+  if (!sessionId || !sessionService.getSession(sessionId)) {
+    sessionId = sessionService.createSession(roleConfig.roleId);
+    sessionService.bindConversation(conversationKey, sessionId);
+    logger.info(`Created new session ${sessionId} for LINE conversation ${conversationKey} with role ${roleConfig.roleId}`);
+  }
+
+  // Check if role has changed
+  const session = sessionService.getSession(sessionId);
+  if (session.roleId !== roleConfig.roleId) {
+    logger.info(`Role changed from ${session.roleId} to ${roleConfig.roleId} for conversation ${conversationKey}, creating new session`);
+    // Role has changed, create a new session with the new role
+    sessionId = sessionService.createSession(roleConfig.roleId);
+    sessionService.bindConversation(conversationKey, sessionId);
+  }
+
+  // Add system instruction if this is a new session
+  if (sessionService.getMessages(sessionId).length === 0) {
+    sessionService.addMessage(sessionId, 'user', roleConfig.systemPrompt.user);
+    sessionService.addMessage(sessionId, 'model', roleConfig.systemPrompt.model);
+  }
+
+  return sessionId;
+}
+
+/**
+ * Download the binary content of a message (image, audio, video) from the
+ * LINE content endpoint.
+ * Stops reading as soon as the content grows past maxBytes.
+ * @returns {Promise<Buffer|null>} Content, or null if it exceeds maxBytes
+ */
+async function downloadMessageContent(botClient, messageId, maxBytes) {
+  const stream = await botClient.getMessageContent(messageId);
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      stream.destroy();
+      return null;
     }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
 
-    logger.info(`Created new LINE client from validated config for destination: ${destination || 'unknown'}`);
-    return client;
+/**
+ * Split an audio answer into its transcript and reply
+ * (the audio prompt asks for "轉錄：..." followed by "回覆：...").
+ * Falls back to treating the whole text as the reply.
+ */
+function parseTranscribedReply(text) {
+  const match = text.match(/轉錄[:：]\s*([\s\S]*?)\n\s*回覆[:：]\s*([\s\S]*)/);
+  if (!match) {
+    return { transcript: null, reply: text };
   }
+  return { transcript: match[1].trim(), reply: match[2].trim() };
+}
 
-  // Try to get specific client for this destination
-  if (destination && clients.has(destination)) {
-    return clients.get(destination);
+function replyContentTooLarge(event, botClient, size) {
+  logger.warn(`${event.message.type} ${event.message.id} exceeds the ${size} byte limit`);
+  return botClient.replyMessage(event.replyToken, {
+    type: 'text',
+    text: geminiConfig.media.tooLargeText
+  });
+}
+
+/**
+ * Build the reply messages for a Gemini answer.
+ * Long text is split into several text messages at paragraph/sentence boundaries.
+ * Roles with richReplies may answer with JSON describing cards and quick replies;
+ * anything that fails validation is sent as plain text instead: the JSON's `text`
+ * field when it has one, otherwise a short apology (never the raw JSON).
+ * An empty answer is replaced with delivery.emptyReplyText.
+ * @returns {{ messages: array, text: string }} LINE messages and the plain text to store in the session
+ */
+function buildReplyMessages(replyText, roleConfig) {
+  const toTextReply = text => ({
+    messages: splitText(text).map(chunk => ({ type: 'text', text: chunk })),
+    text
+  });
+  if (!replyText || !replyText.trim()) {
+    logger.warn('Gemini returned an empty reply; sending the fallback text');
+    return toTextReply(lineConfig.delivery.emptyReplyText);
   }
 
-  // Get the appropriate config for this destination
-  const config = lineConfig.getBotConfig(destination);
+  const textReply = toTextReply(replyText);
+  if (!roleConfig.richReplies) {
+    return textReply;
+  }
 
-  // Check if we already have a client for this config
-  const configKey = config.channelAccessToken;
-  if (clients.has(configKey)) {
-    return clients.get(configKey);
+  try {
+    const structured = parseStructuredReply(replyText);
+    if (!structured) {
+      return textReply;
+    }
+    const messages = buildRichMessages(structured);
+    logger.info(`Built rich reply: ${messages.map(message => message.type).join(', ')}${messages[messages.length - 1].quickReply ? ' + quick replies' : ''}`);
+    return { messages, text: structured.text };
+  } catch (err) {
+    logger.warn(`Falling back to text reply: ${err.message}`);
+    return toTextReply(extractReplyText(replyText) || lineConfig.richReplies.invalidReplyText);
   }
+}
 
-  // Create new client for this config
-  const client = new Client(config);
-  clients.set(configKey, client);
+/**
+ * Get the user, group or room to push to for an event
+ */
+function getPushTarget(event) {
+  const source = event.source || {};
+  return source.groupId || source.roomId || source.userId;
+}
 
-  if (destination) {
-    clients.set(destination, client);
+/**
+ * Push messages in batches of five
+ */
+async function pushMessages(botClient, to, messages) {
+  const batchSize = LINE_LIMITS.messagesPerRequest;
+  let result = null;
+  for (let i = 0; i < messages.length; i += batchSize) {
+    result = await botClient.pushMessage(to, messages.slice(i, i + batchSize));
   }
+  return result;
+}
 
-  logger.info(`Created new LINE client for destination: ${destination || 'default'}`);
-  return client;
+/**
+ * LINE answers 400 "Invalid reply token" for expired or already used tokens
+ */
+function isInvalidReplyTokenError(err) {
+  const data = err.originalError && err.originalError.response && err.originalError.response.data;
+  return err.statusCode === 400 && /reply token/i.test((data && data.message) || err.message);
 }
 
-// Legacy default client
-const client = getClient(null);
+/**
+ * Show LINE's chat loading animation while a reply is being generated.
+ * Only available in one-on-one chats; failures are logged and ignored.
+ */
+function showLoadingAnimation(event, context) {
+  if (!lineConfig.delivery.loadingAnimation || !event.source || event.source.type !== 'user') {
+    return;
+  }
+
+  const { channelAccessToken } = context.botClient.config;
+  let messagingClient = messagingClients.get(channelAccessToken);
+  if (!messagingClient) {
+    messagingClient = new messagingApi.MessagingApiClient({ channelAccessToken });
+    messagingClients.set(channelAccessToken, messagingClient);
+  }
+
+  messagingClient.showLoadingAnimation({
+    chatId: event.source.userId,
+    loadingSeconds: lineConfig.delivery.loadingSeconds
+  }).catch(err => {
+    logger.warn(`Could not show loading animation: ${err.message}`);
+  });
+}
 
-// Store LINE user sessions (maps LINE userId to sessionId)
-const lineUserSessions = new Map();
+/**
+ * Send messages with the reply token (up to five per request) and push any
+ * overflow to the same user/group, since a reply token can only be used once.
+ * If the token is too old to use, or LINE rejects it, the whole reply is pushed
+ * instead and the fallback is counted for the bot.
+ */
+async function sendReply(event, context, messages) {
+  const { botClient, destination } = context;
+  const botId = destination || 'default';
+  const to = getPushTarget(event);
+  const batchSize = LINE_LIMITS.messagesPerRequest;
+
+  const tokenAge = event.timestamp ? Date.now() - event.timestamp : 0;
+  if (tokenAge > lineConfig.delivery.replyTokenMaxAge) {
+    logger.warn(`Reply token is ${Math.round(tokenAge / 1000)}s old; sending reply with push to ${to}`);
+    replyStatsService.recordPushFallback(botId, 'expired');
+    return pushMessages(botClient, to, messages);
+  }
 
-async function handleEvent(event, destination = null, botConfig = null) {
+  let result;
   try {
-    if (event.type !== 'message') {
-      // Ignore non-message events
-      return Promise.resolve(null);
+    result = await botClient.replyMessage(event.replyToken, messages.slice(0, batchSize));
+    replyStatsService.recordReply(botId);
+  } catch (err) {
+    if (!isInvalidReplyTokenError(err)) {
+      throw err;
     }
+    logger.warn(`Reply token rejected by LINE; sending reply with push to ${to}`);
+    replyStatsService.recordPushFallback(botId, 'invalid');
+    return pushMessages(botClient, to, messages);
+  }
 
-    const userId = event.source.userId;
-    const groupId = event.source.groupId || null;
+  const overflow = messages.slice(batchSize);
+  if (overflow.length > 0) {
+    logger.warn(`Reply needs ${messages.length} messages; pushing ${overflow.length} overflow message(s) to ${to} (counts against the push quota)`);
+    try {
+      await pushMessages(botClient, to, overflow);
+    } catch (err) {
+      // The reply itself was delivered: a queue retry would send it a second time
+      logger.error(`Could not push ${overflow.length} overflow message(s) to ${to}: ${err.message}`);
+    }
+  }
 
-    // Log incoming message with complete source information
-    const sourceType = groupId ? 'GROUP' : 'DIRECT';
-    const logParts = [
-      `[${sourceType}]`,
-      `Bot: ${destination || 'N/A'}`,
-      `User: ${userId}`
-    ];
+  return result;
+}
+
+/**
+ * Extra system instruction for Gemini: the rich reply format for roles that
+ * use it, when to ask for a person, the user's language (/lang or LINE profile),
+ * and in groups the recent messages that weren't addressed to the bot
+ */
+function buildSystemInstruction(roleConfig, context) {
+  const instructions = [];
+  if (roleConfig.richReplies) {
+    instructions.push(lineConfig.richReplies.instruction);
+  }
+  if (lineConfig.handoff.enabled) {
+    instructions.push(lineConfig.handoff.instruction);
+  }
+  const language = context.contact && (context.contact.preferredLanguage || context.contact.language);
+  if (language) {
+    instructions.push(geminiConfig.languageInstruction.replace('{language}', language));
+  }
+  const groupContext = context.groupId ? groupContextService.formatRecent(context.groupId) : null;
+  if (groupContext) {
+    instructions.push(`${lineConfig.groupReplies.contextInstruction}\n${groupContext}`);
+  }
+  return instructions.length > 0 ? instructions.join('\n\n') : undefined;
+}
+
+/**
+ * Send a reply, then add the exchange to the session.
+ * Nothing is stored if sending fails, so a queue retry starts from the same
+ * session instead of adding the user's turn twice.
+ * @param {array} turns - Session turns, [{ role, content }]
+ */
+async function sendAndRecord(event, context, sessionId, messages, turns) {
+  const result = await sendReply(event, context, messages);
+  turns.forEach(turn => sessionService.addMessage(sessionId, turn.role, turn.content));
+  return result;
+}
+
+/**
+ * Send Gemini's answer and add the exchange to the session. An answer with the
+ * handoff marker also switches the conversation to human mode.
+ * @param {string} userTurn - The user's turn as stored in the session
+ */
+function sendGeminiReply(event, context, sessionId, userTurn, replyText) {
+  const { marker } = lineConfig.handoff;
+  const needsHuman = lineConfig.handoff.enabled && replyText.includes(marker);
+  const text = needsHuman ? replyText.split(marker).join('').trim() : replyText;
+  const turns = [{ role: 'user', content: userTurn }];
+  if (needsHuman && !text) {
+    return startHandoff(event, context, sessionId, 'model', [], turns);
+  }
+
+  const reply = buildReplyMessages(text, context.roleConfig);
+
+  // Store the AI response as plain text, so the history stays readable
+  turns.push({ role: 'model', content: reply.text });
+
+  if (needsHuman) {
+    return startHandoff(event, context, sessionId, 'model', reply.messages, turns);
+  }
+  return sendAndRecord(event, context, sessionId, reply.messages, turns);
+}
+
+async function handleTextMessage(event, context) {
+  const { destination, roleConfig, userId, groupId } = context;
+  const userMessage = event.message.text;
+  logger.info(`Message content: ${userMessage}`);
+
+  // Get or create session for this LINE conversation
+  const sessionId = getConversationSession(event, destination, roleConfig);
+
+  showLoadingAnimation(event, context);
+
+  // Compress older turns into the rolling summary if the role enables it
+  await summaryService.summarizeIfNeeded(sessionId, roleConfig, { pinnedCount: 2 });
+
+  // Get updated conversation history (system prompt pair + summary + recent turns).
+  // The user's message is added to the session together with the answer, once it's sent.
+  const chatContext = summaryService.buildContext(sessionService.getSession(sessionId), 2);
+
+  // Generate response using Gemini AI
+  logger.info('Generating response with Gemini AI...');
+  const geminiResponse = await geminiService.chat(chatContext.messages.concat({ role: 'user', content: userMessage }), {
+    model: roleConfig.geminiModel,
+    pinnedCount: chatContext.pinnedCount, // Keep the system prompt and summary when trimming history
+    tools: roleConfig.tools,
+    toolContext: { channel: 'line', userId, groupId, destination, roleId: roleConfig.roleId, sessionId, eventId: event.webhookEventId },
+    systemInstruction: buildSystemInstruction(roleConfig, context)
+  });
+
+  if (geminiResponse.toolCalls.length > 0) {
+    logger.info(`🔧 Tools used: ${geminiResponse.toolCalls.map(call => call.name).join(', ')}`);
+  }
+
+  logger.info(`Gemini AI response: ${geminiResponse.reply}`);
+
+  // Reply to the user
+  return sendGeminiReply(event, context, sessionId, userMessage, geminiResponse.reply);
+}
+
+async function handleImageMessage(event, context) {
+  const { destination, roleConfig, userId, botClient } = context;
+  logger.info(`Received image ${event.message.id} from LINE user ${userId}`);
+
+  if (event.message.contentProvider && event.message.contentProvider.type !== 'line') {
+    // Images sent by other LINE bots/services are hosted externally and cannot be fetched from the content endpoint
+    logger.info(`Skipping image with ${event.message.contentProvider.type} content provider`);
+    return Promise.resolve(null);
+  }
+
+  const sessionId = getConversationSession(event, destination, roleConfig);
+
+  showLoadingAnimation(event, context);
+
+  const imageBuffer = await downloadMessageContent(botClient, event.message.id, geminiConfig.upload.maxFileSize);
+  if (!imageBuffer) {
+    return replyContentTooLarge(event, botClient, geminiConfig.upload.maxFileSize);
+  }
+  logger.info(`Downloaded image ${event.message.id} (${imageBuffer.length} bytes)`);
+
+  const prompt = roleConfig.visionPrompt || geminiConfig.vision.defaultPrompt;
+  const result = await geminiService.analyzeImage(imageBuffer.toString('base64'), prompt, {
+    model: roleConfig.geminiModel,
+    mimeType: 'image/jpeg' // LINE serves image message content as JPEG
+  });
+
+  logger.info(`Gemini image analysis: ${result.analysis}`);
+
+  // Keep the exchange in the session so follow-up questions can refer to the image
+  const reply = buildReplyMessages(result.analysis, roleConfig);
+  return sendAndRecord(event, context, sessionId, reply.messages, [
+    { role: 'user', content: geminiConfig.vision.sessionPlaceholder },
+    { role: 'model', content: reply.text }
+  ]);
+}
+
+/**
+ * Audio and video messages are sent to Gemini as inline parts together with the
+ * conversation history, so the answer keeps the role's voice. Voice notes are
+ * transcribed first and the transcript is stored as the user's turn.
+ */
+async function handleMediaMessage(event, context) {
+  const { destination, roleConfig, userId, groupId, botClient } = context;
+  const mediaType = event.message.type;
+  const mimeType = geminiConfig.media.mimeTypes[mediaType];
+  logger.info(`Received ${mediaType} ${event.message.id} from LINE user ${userId} (${event.message.duration || '?'} ms)`);
+
+  if (!geminiConfig.upload.allowedMimeTypes.includes(mimeType)) {
+    logger.info(`Skipping ${mediaType}: ${mimeType} is not in allowedMimeTypes`);
+    return Promise.resolve(null);
+  }
+
+  if (event.message.contentProvider && event.message.contentProvider.type !== 'line') {
+    logger.info(`Skipping ${mediaType} with ${event.message.contentProvider.type} content provider`);
+    return Promise.resolve(null);
+  }
+
+  showLoadingAnimation(event, context);
+
+  const { maxInlineSize } = geminiConfig.media;
+  const content = await downloadMessageContent(botClient, event.message.id, maxInlineSize);
+  if (!content) {
+    return replyContentTooLarge(event, botClient, maxInlineSize);
+  }
+  logger.info(`Downloaded ${mediaType} ${event.message.id} (${content.length} bytes)`);
+
+  const sessionId = getConversationSession(event, destination, roleConfig);
+  await summaryService.summarizeIfNeeded(sessionId, roleConfig, { pinnedCount: 2 });
+  const chatContext = summaryService.buildContext(sessionService.getSession(sessionId), 2);
+
+  const isAudio = mediaType === 'audio';
+  const prompt = isAudio ? geminiConfig.media.audioPrompt : geminiConfig.media.videoPrompt;
+
+  logger.info(`Generating ${mediaType} response with Gemini AI...`);
+  const geminiResponse = await geminiService.chat(chatContext.messages.concat({ role: 'user', content: prompt }), {
+    model: roleConfig.geminiModel,
+    pinnedCount: chatContext.pinnedCount,
+    tools: roleConfig.tools,
+    toolContext: { channel: 'line', userId, groupId, destination, roleId: roleConfig.roleId, sessionId, eventId: event.webhookEventId },
+    attachments: [{ data: content.toString('base64'), mimeType }],
+    systemInstruction: buildSystemInstruction(roleConfig, context)
+  });
+
+  let userTurn = geminiConfig.media.videoPlaceholder;
+  let replyText = geminiResponse.reply;
+  if (isAudio) {
+    const { transcript, reply } = parseTranscribedReply(geminiResponse.reply);
+    userTurn = transcript ? `${geminiConfig.media.audioPlaceholder} ${transcript}` : geminiConfig.media.audioPlaceholder;
+    replyText = reply;
+    logger.info(`Voice note transcript: ${transcript || '(not returned)'}`);
+  }
+
+  logger.info(`Gemini AI response: ${replyText}`);
+
+  return sendGeminiReply(event, context, sessionId, userTurn, replyText);
+}
+
+/**
+ * Reply with a configured event message, if the event setting is enabled
+ */
+function replyEventMessage(event, botClient, settings) {
+  if (!settings.enabled || !settings.message) {
+    return Promise.resolve(null);
+  }
+  return botClient.replyMessage(event.replyToken, {
+    type: 'text',
+    text: settings.message
+  });
+}
+
+/**
+ * Drop the session bound to this event's conversation
+ */
+function clearConversationSession(event, destination) {
+  const conversationKey = getConversationKey(event, destination);
+  const sessionId = sessionService.getConversationSessionId(conversationKey);
+  if (sessionId) {
+    sessionService.deleteSession(sessionId);
+  }
+  sessionService.unbindConversation(conversationKey);
+  logger.info(`Cleared session for LINE conversation ${conversationKey}`);
+}
+
+async function handleFollowEvent(event, context) {
+  const { roleConfig, userId, botClient } = context;
+  logger.info(`👋 User ${userId} followed the bot${event.follow && event.follow.isUnblocked ? ' (unblocked)' : ''}`);
+  return replyEventMessage(event, botClient, roleService.getEventSettings(roleConfig, 'follow'));
+}
+
+async function handleUnfollowEvent(event, context) {
+  const { destination, roleConfig, userId } = context;
+  logger.info(`User ${userId} unfollowed the bot`);
+
+  // Staff can't push to a user who blocked the bot
+  handoffService.release(getConversationKey(event, destination));
+
+  const settings = roleService.getEventSettings(roleConfig, 'unfollow');
+  if (settings.clearSession) {
+    clearConversationSession(event, destination);
+  }
+  if (settings.clearRoleMapping && roleService.removeUserRole(userId)) {
+    logger.info(`Removed role mapping for user ${userId}`);
+  }
+  return null;
+}
+
+async function handleJoinEvent(event, context) {
+  const { roleConfig, groupId, botClient } = context;
+  logger.info(`Bot joined ${event.source.type} ${groupId || event.source.roomId}`);
+  return replyEventMessage(event, botClient, roleService.getEventSettings(roleConfig, 'join'));
+}
+
+async function handleLeaveEvent(event, context) {
+  const { destination, roleConfig, groupId } = context;
+  logger.info(`Bot left ${event.source.type} ${groupId || event.source.roomId}`);
+
+  handoffService.release(getConversationKey(event, destination));
+
+  const settings = roleService.getEventSettings(roleConfig, 'leave');
+  if (settings.clearSession) {
+    clearConversationSession(event, destination);
     if (groupId) {
-      logParts.push(`Group: ${groupId}`);
+      groupContextService.clear(groupId);
     }
-    logger.info(`📩 ${logParts.join(' | ')}`);
+  }
+  if (settings.clearRoleMapping && groupId && roleService.removeGroupRole(groupId)) {
+    logger.info(`Removed role mapping for group ${groupId}`);
+  }
+  return null;
+}
 
-    // Get role configuration for this user/group/bot
-    const roleConfig = roleService.getRoleForUser(userId, groupId, destination);
-    logger.info(`🤖 Using role: ${roleConfig.roleId} (${roleConfig.name})`);
+async function handleMemberJoinedEvent(event, context) {
+  const { roleConfig, groupId, botClient } = context;
+  const members = (event.joined && event.joined.members) || [];
+  logger.info(`${members.length} member(s) joined ${groupId || event.source.roomId}`);
+  return replyEventMessage(event, botClient, roleService.getEventSettings(roleConfig, 'memberJoined'));
+}
 
-    // Handle sticker messages
-    if (event.message.type === 'sticker') {
-      logger.info(`Received sticker from LINE user ${userId}`);
-      const stickerReply = {
-        type: 'text',
-        text: roleConfig.stickerReplyText
-      };
-      const botClient = getClient(destination, botConfig);
-      return botClient.replyMessage(event.replyToken, stickerReply);
+/**
+ * Rich menu postback `action=switchRole&roleId=<roleId>`: assign the chosen role to the user
+ */
+function handleSwitchRolePostback(event, context, roleId) {
+  const { destination, userId, groupId, botClient } = context;
+
+  // Postback data comes from the client (and from Gemini's buttons), so only roles users
+  // may pick themselves are accepted
+  if (roleId && !roleService.isSwitchableRole(roleId, commandService.isAdmin(userId))) {
+    logger.warn(`LINE user ${userId} tried to switch to role ${roleId}, which isn't switchable`);
+    return botClient.replyMessage(event.replyToken, {
+      type: 'text',
+      text: lineConfig.richMenu.unknownRoleReply
+    });
+  }
+
+  if (!userId || !roleId || !roleService.roleExists(roleId) || !roleService.setUserRole(userId, roleId)) {
+    logger.warn(`Could not switch LINE user ${userId} to role: ${roleId}`);
+    return botClient.replyMessage(event.replyToken, {
+      type: 'text',
+      text: lineConfig.richMenu.unknownRoleReply
+    });
+  }
+
+  const roleConfig = roleService.getRoleConfig(roleId);
+  logger.info(`LINE user ${userId} switched to role ${roleId} from the rich menu`);
+  if (roleService.getRoleForUser(userId, groupId, destination).roleId !== roleId) {
+    logger.warn(`Bot role mapping for ${destination} overrides the role ${userId} picked`);
+  }
+
+  return botClient.replyMessage(event.replyToken, {
+    type: 'text',
+    text: lineConfig.richMenu.switchRoleReply.replace('{role}', roleConfig.name)
+  });
+}
+
+async function handlePostbackEvent(event, context) {
+  const { roleConfig, userId, botClient } = context;
+  const data = event.postback.data;
+  logger.info(`Postback from LINE user ${userId}: ${data}`);
+
+  const params = new URLSearchParams(data);
+  if (params.get('action') === 'switchRole') {
+    return handleSwitchRolePostback(event, context, params.get('roleId'));
+  }
+
+  const settings = roleService.getEventSettings(roleConfig, 'postback');
+  if (!settings.enabled) {
+    return null;
+  }
+
+  const replyText = (settings.replies && settings.replies[data]) || settings.defaultReply;
+  if (!replyText) {
+    logger.info(`No postback reply configured for: ${data}`);
+    return null;
+  }
+  return botClient.replyMessage(event.replyToken, {
+    type: 'text',
+    text: replyText
+  });
+}
+
+/**
+ * Tell the customer staff will answer, then switch the conversation to human mode
+ * @param {string} reason - 'keyword' or 'model' (see handoffService.start)
+ * @param {array} messages - Messages to send before the notice (e.g. Gemini's answer)
+ * @param {array} turns - Session turns to store with the notice (see sendAndRecord)
+ */
+async function startHandoff(event, context, sessionId, reason, messages = [], turns = []) {
+  const { destination, userId, groupId } = context;
+  const { startReply } = lineConfig.handoff;
+  const result = await sendAndRecord(event, context, sessionId,
+    [...messages, { type: 'text', text: startReply }],
+    [...turns, { role: 'model', content: startReply }]);
+
+  handoffService.start(getConversationKey(event, destination), {
+    destination,
+    to: getPushTarget(event),
+    userId,
+    groupId,
+    sessionId
+  }, reason);
+  return result;
+}
+
+/**
+ * Keep a customer message for staff instead of answering it
+ */
+function forwardToStaff(event, context, conversationKey) {
+  const sessionId = getConversationSession(event, context.destination, context.roleConfig);
+  const content = event.message.type === 'text' ? event.message.text : `[${event.message.type}]`;
+  sessionService.addMessage(sessionId, 'user', content);
+  handoffService.recordIncoming(conversationKey, sessionId);
+  logger.info(`Forwarded ${event.message.type} message from ${conversationKey} to the handoff inbox`);
+  return null;
+}
+
+/**
+ * Check whether a message asks for a person: the whole message is a keyword
+ * (ignoring punctuation and spaces), or a Latin-script keyword appears as whole words.
+ * A keyword merely mentioned inside a longer sentence doesn't count.
+ */
+function isHandoffRequest(text) {
+  const compact = value => value.toLowerCase().replace(/[\s\p{P}\p{S}]+/gu, '');
+  const message = compact(text);
+  return lineConfig.handoff.keywords.some(keyword => {
+    if (message === compact(keyword)) {
+      return true;
     }
+    if (!/[a-z]/i.test(keyword)) {
+      return false;
+    }
+    const words = keyword.trim().split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`\\b${words.join('\\s+')}\\b`, 'i').test(text);
+  });
+}
 
-    if (event.message.type !== 'text') {
-      // Ignore other non-text messages (image, video, audio, etc.)
-      logger.info(`Received non-text message type: ${event.message.type}`);
-      return Promise.resolve(null);
+/**
+ * Push a staff reply from the admin dashboard and add it to the transcript
+ * @param {string} conversationKey - Conversation in human mode
+ * @param {string} text - Reply text
+ */
+async function sendStaffReply(conversationKey, text) {
+  const handoff = handoffService.getHandoff(conversationKey);
+  if (!handoff) {
+    throw new Error(`Conversation ${conversationKey} is not handed off`);
+  }
+
+  const botClient = getClient(handoff.destination);
+  await pushMessages(botClient, handoff.to, splitText(text).map(chunk => ({ type: 'text', text: chunk })));
+
+  if (sessionService.getSession(handoff.sessionId)) {
+    sessionService.addMessage(handoff.sessionId, 'model', text, { author: 'human' });
+  } else {
+    logger.warn(`Session ${handoff.sessionId} for ${conversationKey} is gone; staff reply not kept in the transcript`);
+  }
+  handoffService.recordStaffReply(conversationKey);
+  logger.info(`Staff replied to LINE conversation ${conversationKey}`);
+}
+
+/**
+ * Hand a conversation back to the AI, letting the customer know
+ * @returns {Promise<boolean>} False if the conversation wasn't handed off
+ */
+async function releaseHandoff(conversationKey) {
+  const handoff = handoffService.release(conversationKey);
+  if (!handoff) {
+    return false;
+  }
+
+  const { releaseReply } = lineConfig.handoff;
+  if (releaseReply) {
+    try {
+      await pushMessages(getClient(handoff.destination), handoff.to, [{ type: 'text', text: releaseReply }]);
+      if (sessionService.getSession(handoff.sessionId)) {
+        sessionService.addMessage(handoff.sessionId, 'model', releaseReply);
+      }
+    } catch (err) {
+      // The conversation is released either way
+      logger.error(`Could not notify ${handoff.to} that the handoff ended: ${err.message}`);
     }
+  }
+  return true;
+}
 
-    const userMessage = event.message.text;
-    logger.info(`Message content: ${userMessage}`);
+/**
+ * Check whether a group message passes the group's reply policy
+ * @param {object} policy - { mode, keywords } from roleService.getGroupReplyPolicy
+ */
+function isAddressedToBot(event, policy) {
+  switch (policy.mode) {
+    case 'always':
+      return true;
+    case 'mention': {
+      const mention = event.message.mention;
+      return Boolean(mention && mention.mentionees.some(mentionee => mentionee.isSelf));
+    }
+    case 'keyword': {
+      const text = event.message.type === 'text' ? event.message.text.trim().toLowerCase() : '';
+      return policy.keywords.some(keyword => text.startsWith(keyword.toLowerCase()));
+    }
+    default:
+      return false;
+  }
+}
 
-    // Special command: /showid - Display User ID and Group ID
-    if (userMessage.trim() === '/showid') {
-      let idInfo = `📋 LINE IDs Information\n\n`;
-      if (destination) {
-        idInfo += `🤖 Bot ID (Destination):\n${destination}\n\n`;
+/**
+ * Command context for a LINE conversation (see services/command.service.js)
+ */
+function buildCommandContext(event, context) {
+  const { destination, roleConfig, userId, groupId, contact } = context;
+  return {
+    channel: 'line',
+    userId,
+    groupId,
+    destination,
+    sessionId: sessionService.getConversationSessionId(getConversationKey(event, destination)),
+    roleConfig,
+    language: contact ? contact.preferredLanguage || null : null,
+    resetConversation: () => clearConversationSession(event, destination),
+    switchRole: (roleId) => {
+      if (!roleService.setUserRole(userId, roleId)) {
+        return false;
       }
-      idInfo += `👤 User ID:\n${userId}\n`;
-      if (groupId) {
-        idInfo += `\n👥 Group ID:\n${groupId}`;
-      } else {
-        idInfo += `\n(This is a direct message, no Group ID)`;
+      if (roleService.getRoleForUser(userId, groupId, destination).roleId !== roleId) {
+        logger.warn(`Bot role mapping for ${destination} overrides the role ${userId} picked`);
       }
-      idInfo += `\n\n💡 Tip: Use these IDs in the Admin Dashboard to assign specific AI roles!`;
+      return true;
+    },
+    setLanguage: (language) => contactService.setPreferredLanguage(userId, language)
+  };
+}
 
-      logger.info(`User ${userId} requested ID information`);
+async function handleMessageEvent(event, context) {
+  const { roleConfig, userId, groupId, botClient } = context;
 
-      const reply = {
-        type: 'text',
-        text: idInfo
-      };
-      const botClient = getClient(destination, botConfig);
-      return botClient.replyMessage(event.replyToken, reply);
-    }
+  // Slash commands are answered in every conversation, whatever the group's reply policy
+  const command = event.message.type === 'text' ? commandService.parse(event.message.text) : null;
+  if (command) {
+    logger.info(`LINE user ${userId} ran /${command.name}`);
+    const reply = await commandService.execute(command, buildCommandContext(event, context));
+    return sendReply(event, context, [{ type: 'text', text: reply }]);
+  }
 
-    // Get or create session for this LINE user
-    let sessionId = lineUserSessions.get(userId);
-    if (!sessionId || !sessionService.getSession(sessionId)) {
-      sessionId = sessionService.createSession(roleConfig.roleId);
-      lineUserSessions.set(userId, sessionId);
-      logger.info(`Created new session ${sessionId} for LINE user ${userId} with role ${roleConfig.roleId}`);
+  // In groups, only answer what the reply policy lets through and keep the rest as context
+  if (groupId) {
+    const policy = roleService.getGroupReplyPolicy(groupId);
+    if (!isAddressedToBot(event, policy)) {
+      if (policy.mode !== 'never' && event.message.type === 'text') {
+        groupContextService.record(groupId, {
+          userId,
+          name: context.contact ? context.contact.displayName : null,
+          text: event.message.text,
+          timestamp: event.timestamp
+        });
+      }
+      logger.info(`Not replying in group ${groupId} (reply policy: ${policy.mode})`);
+      return null;
     }
+  }
+
+  // Human mode: staff answer from the admin dashboard, so Gemini stays out of the conversation
+  const conversationKey = getConversationKey(event, context.destination);
+  if (handoffService.isActive(conversationKey)) {
+    return forwardToStaff(event, context, conversationKey);
+  }
+  if (lineConfig.handoff.enabled && event.message.type === 'text' && isHandoffRequest(event.message.text)) {
+    const sessionId = getConversationSession(event, context.destination, roleConfig);
+    return startHandoff(event, context, sessionId, 'keyword', [], [{ role: 'user', content: event.message.text }]);
+  }
 
-    // Get session and check if role has changed
-    const session = sessionService.getSession(sessionId);
-    if (session.roleId !== roleConfig.roleId) {
-      logger.info(`Role changed from ${session.roleId} to ${roleConfig.roleId} for user ${userId}, creating new session`);
-      // Role has changed, create a new session with the new role
-      sessionId = sessionService.createSession(roleConfig.roleId);
-      lineUserSessions.set(userId, sessionId);
+  switch (event.message.type) {
+    case 'text':
+      return handleTextMessage(event, context);
+    case 'image':
+      return handleImageMessage(event, context);
+    case 'audio':
+    case 'video':
+      return handleMediaMessage(event, context);
+    case 'sticker': {
+      logger.info(`Received sticker from LINE user ${userId}`);
+      const stickerReply = {
+        type: 'text',
+        text: roleConfig.stickerReplyText
+      };
+      return botClient.replyMessage(event.replyToken, stickerReply);
     }
+    default:
+      // Ignore other message types (file, location, etc.)
+      logger.info(`Received unsupported message type: ${event.message.type}`);
+      return null;
+  }
+}
 
-    // Get conversation history
-    const messages = sessionService.getMessages(sessionId);
+const eventHandlers = {
+  message: handleMessageEvent,
+  follow: handleFollowEvent,
+  unfollow: handleUnfollowEvent,
+  join: handleJoinEvent,
+  leave: handleLeaveEvent,
+  memberJoined: handleMemberJoinedEvent,
+  postback: handlePostbackEvent
+};
 
-    // Add system instruction if this is a new session
-    if (messages.length === 0) {
-      sessionService.addMessage(sessionId, 'user', roleConfig.systemPrompt.user);
-      sessionService.addMessage(sessionId, 'model', roleConfig.systemPrompt.model);
+/**
+ * Handle one LINE webhook event
+ * @param {object} event - Webhook event
+ * @param {string} destination - Bot user ID the webhook was sent to
+ * @param {object} botConfig - Validated bot config ({ channelAccessToken, channelSecret })
+ * @param {object} options - { isFinalAttempt } false while the job queue will still retry on failure
+ */
+async function handleEvent(event, destination = null, botConfig = null, options = {}) {
+  try {
+    const eventHandler = eventHandlers[event.type];
+    if (!eventHandler) {
+      // Ignore other events (memberLeft, unsend, videoPlayComplete, etc.)
+      logger.info(`Ignoring LINE event type: ${event.type}`);
+      return Promise.resolve(null);
     }
 
-    // Add user message to session
-    sessionService.addMessage(sessionId, 'user', userMessage);
+    const userId = event.source.userId;
+    const groupId = event.source.groupId || null;
 
-    // Get updated conversation history
-    const updatedMessages = sessionService.getMessages(sessionId);
+    // Log incoming event with complete source information
+    const sourceType = groupId ? 'GROUP' : 'DIRECT';
+    const logParts = [
+      `[${sourceType}]`,
+      `Event: ${event.type}`,
+      `Bot: ${destination || 'N/A'}`,
+      `User: ${userId || 'N/A'}`
+    ];
+    if (groupId) {
+      logParts.push(`Group: ${groupId}`);
+    }
+    logger.info(`📩 ${logParts.join(' | ')}`);
 
-    // Generate response using Gemini AI
-    logger.info('Generating response with Gemini AI...');
-    const geminiResponse = await geminiService.chat(updatedMessages, {
-      model: roleConfig.geminiModel
-    });
+    // Get role configuration for this user/group/bot
+    const roleConfig = roleService.getRoleForUser(userId, groupId, destination);
+    logger.info(`🤖 Using role: ${roleConfig.roleId} (${roleConfig.name})`);
 
-    // Update session with AI response
-    sessionService.addMessage(sessionId, 'model', geminiResponse.reply);
+    const botClient = getClient(destination, botConfig);
 
-    logger.info(`Gemini AI response: ${geminiResponse.reply}`);
+    // Cache the user's profile and the group's summary in the contact directory.
+    // Only for events that can be answered: after unfollow or leave the profile can't be fetched.
+    const contact = event.replyToken ? await contactService.ensureContacts(event.source, botClient) : null;
 
-    // Reply to the user
-    const reply = {
-      type: 'text',
-      text: geminiResponse.reply.trim()
-    };
+    const context = { destination, roleConfig, userId, groupId, botClient, contact };
 
-    const botClient = getClient(destination, botConfig);
-    return botClient.replyMessage(event.replyToken, reply);
+    return await eventHandler(event, context);
   } catch (err) {
     logger.error('Error handling LINE event:', err);
 
-    // Send error message to user
-    const errorReply = {
-      type: 'text',
-      text: '抱歉，我現在無法處理您的訊息。請稍後再試。'
-    };
+    // Leave the apology for the last attempt so queue retries don't message the user repeatedly.
+    // Events like unfollow and leave have no reply token, so there is nobody to apologize to.
+    if (options.isFinalAttempt !== false && event.replyToken) {
+      // Send error message to user
+      const errorReply = {
+        type: 'text',
+        text: '抱歉，我現在無法處理您的訊息。請稍後再試。'
+      };
 
-    try {
-      const botClient = getClient(destination, botConfig);
-      return botClient.replyMessage(event.replyToken, errorReply);
-    } catch (replyErr) {
-      logger.error('Error sending error reply:', replyErr);
-      return Promise.reject(err);
+      try {
+        const botClient = getClient(destination, botConfig);
+        await botClient.replyMessage(event.replyToken, errorReply);
+      } catch (replyErr) {
+        logger.error('Error sending error reply:', replyErr);
+      }
     }
+
+    // Rethrow so the job queue can retry or dead-letter the event
+    throw err;
   }
 }
 
 module.exports = {
   handleEvent,
+  getConversationKey,
+  getClient,
+  sendStaffReply,
+  releaseHandoff,
   client,
 };
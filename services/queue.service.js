@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const queueConfig = require('../config/queue.config');
+const { createStore } = require('../stores/store.factory');
+const logger = require('../utils/logger.util');
+
+/**
+ * Durable in-process job queue
+ *
+ * Jobs stay in the store until they succeed, so work accepted from a webhook
+ * survives a restart. Failed jobs are retried with exponential backoff and
+ * moved to the dead-letter list after maxAttempts. Jobs that share a groupKey
+ * (e.g. one LINE conversation) run one at a time in the order they were queued:
+ * a job waiting for its retry holds back the rest of its group until it
+ * succeeds or is dead-lettered.
+ */
+class QueueService {
+  constructor(
+    jobStore = createStore('jobs', { adapter: queueConfig.adapter }),
+    deadLetterStore = createStore('dead-letters', { adapter: queueConfig.adapter })
+  ) {
+    this.jobs = jobStore;
+    this.deadLetters = deadLetterStore;
+    this.handlers = new Map();
+    this.activeCount = 0;
+    this.timer = null;
+    this.stats = { processed: 0, retried: 0, failed: 0 };
+
+    // Jobs that were running when the process stopped are picked up again
+    for (const job of Array.from(this.jobs.values())) {
+      if (job.status === 'active') {
+        job.status = 'pending';
+        this.jobs.set(job.id, job);
+      }
+    }
+  }
+
+  /**
+   * Register the function that processes jobs of a type
+   * @param {string} type - Job type
+   * @param {function} handler - async (payload, { id, attempt, isFinalAttempt }) => void
+   *   Throw to retry; set `retryable = false` on the error to dead-letter it right away
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type (must have a registered handler)
+   * @param {object} payload - JSON-serializable job data
+   * @param {object} options - { groupKey, maxAttempts, runAt } runAt (ms timestamp) delays the first attempt
+   * @returns {object} Queued job
+   */
+  enqueue(type, payload, options = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      payload,
+      groupKey: options.groupKey || null,
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: options.maxAttempts || queueConfig.maxAttempts,
+      nextRunAt: options.runAt || Date.now(),
+      createdAt: Date.now(),
+      lastError: null
+    };
+
+    this.jobs.set(job.id, job);
+    if (this.timer) {
+      // Let the caller (e.g. the webhook response) finish before the job starts
+      setImmediate(() => this.poll());
+    }
+    return job;
+  }
+
+  /**
+   * Start the workers
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.poll(), queueConfig.pollInterval);
+    logger.info(`Job queue started (${this.jobs.size} pending, concurrency ${queueConfig.concurrency})`);
+    this.poll();
+  }
+
+  /**
+   * Stop picking up new jobs (running jobs finish normally)
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Start due jobs, oldest first, up to the concurrency limit.
+   * Only the oldest job of each group is considered; while it runs or waits
+   * for a retry, the later jobs of that group stay queued.
+   */
+  poll() {
+    if (this.activeCount >= queueConfig.concurrency) {
+      return;
+    }
+
+    const now = Date.now();
+    const jobs = Array.from(this.jobs.values()).sort((a, b) => a.createdAt - b.createdAt);
+    const headsSeen = new Set();
+
+    for (const job of jobs) {
+      if (this.activeCount >= queueConfig.concurrency) {
+        break;
+      }
+      if (job.groupKey) {
+        if (headsSeen.has(job.groupKey)) {
+          continue;
+        }
+        headsSeen.add(job.groupKey);
+      }
+      if (job.status === 'pending' && job.nextRunAt <= now) {
+        this.run(job);
+      }
+    }
+  }
+
+  /**
+   * Process one job, then schedule a retry or dead-letter it on failure
+   */
+  async run(job) {
+    job.status = 'active';
+    job.attempts += 1;
+    this.jobs.set(job.id, job);
+    this.activeCount += 1;
+
+    try {
+      const handler = this.handlers.get(job.type);
+      if (!handler) {
+        throw new Error(`No handler registered for job type: ${job.type}`);
+      }
+
+      await handler(job.payload, {
+        id: job.id,
+        attempt: job.attempts,
+        isFinalAttempt: job.attempts >= job.maxAttempts
+      });
+
+      this.jobs.delete(job.id);
+      this.stats.processed += 1;
+    } catch (err) {
+      job.lastError = err.message;
+
+      if (err.retryable !== false && job.attempts < job.maxAttempts) {
+        const delay = Math.min(queueConfig.backoffBase * 2 ** (job.attempts - 1), queueConfig.backoffMax);
+        job.status = 'pending';
+        job.nextRunAt = Date.now() + delay;
+        this.jobs.set(job.id, job);
+        this.stats.retried += 1;
+        logger.warn(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}/${job.maxAttempts}, retrying in ${delay}ms: ${err.message}`);
+      } else {
+        this.moveToDeadLetters(job);
+        this.stats.failed += 1;
+        logger.error(`Job ${job.id} (${job.type}) moved to dead letters after ${job.attempts} attempt(s): ${err.message}`);
+      }
+    } finally {
+      this.activeCount -= 1;
+    }
+
+    if (this.timer) {
+      this.poll();
+    }
+  }
+
+  moveToDeadLetters(job) {
+    this.jobs.delete(job.id);
+    this.deadLetters.set(job.id, { ...job, status: 'dead', failedAt: Date.now() });
+
+    // Drop the oldest dead letters once the list is full
+    const overflow = this.deadLetters.size - queueConfig.maxDeadLetters;
+    if (overflow > 0) {
+      Array.from(this.deadLetters.values())
+        .sort((a, b) => a.failedAt - b.failedAt)
+        .slice(0, overflow)
+        .forEach(deadJob => this.deadLetters.delete(deadJob.id));
+    }
+  }
+
+  /**
+   * List dead-lettered jobs, most recent failure first
+   */
+  listDeadLetters() {
+    return Array.from(this.deadLetters.values()).sort((a, b) => b.failedAt - a.failedAt);
+  }
+
+  /**
+   * Put a dead-lettered job back on the queue with a fresh set of attempts
+   * @returns {object|null} Requeued job, or null if not found
+   */
+  retryDeadLetter(jobId) {
+    const deadJob = this.deadLetters.get(jobId);
+    if (!deadJob) {
+      return null;
+    }
+
+    const { failedAt, ...job } = deadJob;
+    job.status = 'pending';
+    job.attempts = 0;
+    job.nextRunAt = Date.now();
+
+    this.deadLetters.delete(jobId);
+    this.jobs.set(job.id, job);
+    if (this.timer) {
+      this.poll();
+    }
+    return job;
+  }
+
+  /**
+   * Remove a dead-lettered job
+   * @returns {boolean} True if the job existed
+   */
+  deleteDeadLetter(jobId) {
+    return this.deadLetters.delete(jobId);
+  }
+
+  /**
+   * Get queue statistics
+   */
+  getStats() {
+    const jobs = Array.from(this.jobs.values());
+    return {
+      pending: jobs.filter(job => job.status === 'pending').length,
+      active: jobs.filter(job => job.status === 'active').length,
+      deadLetters: this.deadLetters.size,
+      processed: this.stats.processed,
+      retried: this.stats.retried,
+      failed: this.stats.failed,
+      running: this.timer !== null
+    };
+  }
+}
+
+module.exports = new QueueService();
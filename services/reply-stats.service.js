@@ -0,0 +1,64 @@
+const { createStore } = require('../stores/store.factory');
+
+/**
+ * Per-bot counters for how LINE replies were delivered: with the reply token,
+ * or with push because the token had expired or was rejected.
+ */
+class ReplyStatsService {
+  constructor(store = createStore('reply-stats')) {
+    // bot ID (destination) -> counters
+    this.stats = store;
+  }
+
+  getBotStats(botId) {
+    return this.stats.get(botId) || {
+      botId,
+      replies: 0,
+      pushFallbacks: 0,
+      expiredTokens: 0,
+      invalidTokens: 0,
+      lastFallbackAt: null
+    };
+  }
+
+  /**
+   * Record a reply sent with the reply token
+   */
+  recordReply(botId) {
+    const stats = this.getBotStats(botId);
+    stats.replies += 1;
+    this.stats.set(botId, stats);
+  }
+
+  /**
+   * Record a reply sent with push instead of the reply token
+   * @param {string} botId - Bot ID (destination)
+   * @param {string} reason - 'expired' (token too old to try) or 'invalid' (LINE rejected it)
+   */
+  recordPushFallback(botId, reason) {
+    const stats = this.getBotStats(botId);
+    stats.pushFallbacks += 1;
+    if (reason === 'expired') {
+      stats.expiredTokens += 1;
+    } else {
+      stats.invalidTokens += 1;
+    }
+    stats.lastFallbackAt = Date.now();
+    this.stats.set(botId, stats);
+  }
+
+  /**
+   * List stats for all bots, with the share of replies that needed push
+   */
+  listStats() {
+    return Array.from(this.stats.values()).map(stats => {
+      const total = stats.replies + stats.pushFallbacks;
+      return {
+        ...stats,
+        fallbackRate: total > 0 ? stats.pushFallbacks / total : 0
+      };
+    });
+  }
+}
+
+module.exports = new ReplyStatsService();
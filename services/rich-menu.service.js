@@ -0,0 +1,167 @@
+const logger = require('../utils/logger.util');
+const botRegistryService = require('./bot-registry.service');
+const { getClient } = require('./line.service');
+
+// https://developers.line.biz/en/reference/messaging-api/#rich-menu-object
+const RICH_MENU_LIMITS = {
+  nameLength: 300,
+  chatBarTextLength: 14,
+  areas: 20,
+  minWidth: 800,
+  maxWidth: 2500,
+  minHeight: 250,
+  minAspectRatio: 1.45,
+  linkUsersPerRequest: 500
+};
+
+const ACTION_TYPES = ['postback', 'message', 'uri', 'datetimepicker', 'richmenuswitch'];
+
+/**
+ * Rich menu management for registered LINE bots
+ *
+ * Thin wrapper around the Messaging API rich menu endpoints. Rich menus live on
+ * LINE's side, so nothing is stored locally; each call goes to the bot's channel.
+ */
+class RichMenuService {
+  /**
+   * Get the LINE client for a registered bot
+   * @throws {Error} If the bot isn't registered
+   */
+  getBotClient(botKey) {
+    const bot = botRegistryService.getBot(botKey);
+    if (!bot) {
+      throw new Error(`Unknown LINE bot: ${botKey}`);
+    }
+    return getClient(bot.destination, bot);
+  }
+
+  /**
+   * Check a rich menu definition before sending it to LINE
+   * @param {object} richMenu - { size, selected, name, chatBarText, areas }
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateRichMenu(richMenu) {
+    if (!richMenu || typeof richMenu !== 'object') {
+      return 'richMenu is required';
+    }
+    if (typeof richMenu.name !== 'string' || !richMenu.name || richMenu.name.length > RICH_MENU_LIMITS.nameLength) {
+      return `name is required (max ${RICH_MENU_LIMITS.nameLength} characters)`;
+    }
+    if (typeof richMenu.chatBarText !== 'string' || !richMenu.chatBarText || richMenu.chatBarText.length > RICH_MENU_LIMITS.chatBarTextLength) {
+      return `chatBarText is required (max ${RICH_MENU_LIMITS.chatBarTextLength} characters)`;
+    }
+
+    const { width, height } = richMenu.size || {};
+    if (!Number.isInteger(width) || !Number.isInteger(height) ||
+        width < RICH_MENU_LIMITS.minWidth || width > RICH_MENU_LIMITS.maxWidth ||
+        height < RICH_MENU_LIMITS.minHeight || width / height < RICH_MENU_LIMITS.minAspectRatio) {
+      return `size must be ${RICH_MENU_LIMITS.minWidth}-${RICH_MENU_LIMITS.maxWidth} wide, at least ${RICH_MENU_LIMITS.minHeight} high, with an aspect ratio of at least ${RICH_MENU_LIMITS.minAspectRatio}`;
+    }
+
+    if (!Array.isArray(richMenu.areas) || richMenu.areas.length === 0 || richMenu.areas.length > RICH_MENU_LIMITS.areas) {
+      return `areas must have 1-${RICH_MENU_LIMITS.areas} entries`;
+    }
+    for (let i = 0; i < richMenu.areas.length; i++) {
+      const { bounds, action } = richMenu.areas[i] || {};
+      if (!bounds || ['x', 'y', 'width', 'height'].some(field => !Number.isInteger(bounds[field]) || bounds[field] < 0) ||
+          bounds.x + bounds.width > width || bounds.y + bounds.height > height) {
+        return `areas[${i}].bounds must be integers x, y, width, height inside the menu`;
+      }
+      if (!action || !ACTION_TYPES.includes(action.type)) {
+        return `areas[${i}].action.type must be one of: ${ACTION_TYPES.join(', ')}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * List a bot's rich menus, flagging the default one
+   * @returns {Promise<array>} Rich menus with isDefault
+   */
+  async listMenus(botKey) {
+    const client = this.getBotClient(botKey);
+    const [menus, defaultMenuId] = await Promise.all([
+      client.getRichMenuList(),
+      // LINE answers 404 when no default menu is set
+      client.getDefaultRichMenuId().catch(err => {
+        if (err.statusCode === 404) {
+          return null;
+        }
+        throw err;
+      })
+    ]);
+    return menus.map(menu => ({ ...menu, isDefault: menu.richMenuId === defaultMenuId }));
+  }
+
+  /**
+   * Create a rich menu (it has no image until uploadImage is called)
+   * @returns {Promise<string>} Rich menu ID
+   */
+  async createMenu(botKey, richMenu) {
+    const richMenuId = await this.getBotClient(botKey).createRichMenu({
+      size: richMenu.size,
+      selected: Boolean(richMenu.selected),
+      name: richMenu.name,
+      chatBarText: richMenu.chatBarText,
+      areas: richMenu.areas
+    });
+    logger.info(`Created rich menu ${richMenuId} for LINE bot ${botKey}`);
+    return richMenuId;
+  }
+
+  /**
+   * Upload the menu image. LINE only accepts one upload per menu.
+   * @param {Buffer} image - JPEG or PNG, at most 1 MB
+   */
+  async uploadImage(botKey, richMenuId, image, mimeType) {
+    await this.getBotClient(botKey).setRichMenuImage(richMenuId, image, mimeType);
+    logger.info(`Uploaded rich menu image for ${richMenuId} (${image.length} bytes)`);
+  }
+
+  /**
+   * Show a rich menu to every user of the bot who has no menu of their own
+   */
+  async setDefaultMenu(botKey, richMenuId) {
+    await this.getBotClient(botKey).setDefaultRichMenu(richMenuId);
+    logger.info(`Set default rich menu for LINE bot ${botKey}: ${richMenuId}`);
+  }
+
+  /**
+   * Link a rich menu to specific users, overriding the default menu for them
+   * @param {string[]} userIds - LINE user IDs
+   */
+  async linkMenuToUsers(botKey, richMenuId, userIds) {
+    const client = this.getBotClient(botKey);
+    if (userIds.length === 1) {
+      await client.linkRichMenuToUser(userIds[0], richMenuId);
+    } else {
+      for (let i = 0; i < userIds.length; i += RICH_MENU_LIMITS.linkUsersPerRequest) {
+        await client.linkRichMenuToMultipleUsers(richMenuId, userIds.slice(i, i + RICH_MENU_LIMITS.linkUsersPerRequest));
+      }
+    }
+    logger.info(`Linked rich menu ${richMenuId} to ${userIds.length} user(s)`);
+  }
+
+  /**
+   * Delete a rich menu (users it was linked to fall back to the default menu)
+   */
+  async deleteMenu(botKey, richMenuId) {
+    await this.getBotClient(botKey).deleteRichMenu(richMenuId);
+    logger.info(`Deleted rich menu ${richMenuId} from LINE bot ${botKey}`);
+  }
+
+  /**
+   * Get the reason LINE gave for rejecting a request, if any
+   */
+  describeError(err) {
+    const data = err.originalError && err.originalError.response && err.originalError.response.data;
+    if (data && data.message) {
+      const details = Array.isArray(data.details) ? data.details.map(detail => `${detail.property}: ${detail.message}`) : [];
+      return [data.message, ...details].join('; ');
+    }
+    return err.message;
+  }
+}
+
+module.exports = new RichMenuService();
@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const lineConfig = require('../config/line.config');
+const commandConfig = require('../config/command.config');
 
 const CONFIG_PATH = path.join(__dirname, '..', 'data', 'line-config.json');
 
@@ -34,6 +36,7 @@ class RoleService {
         },
         userRoleMapping: {},
         groupRoleMapping: {},
+        groupReplyPolicy: {},
         botRoleMapping: {},
         defaultRole: 'customer-service'
       };
@@ -106,6 +109,21 @@ class RoleService {
     };
   }
 
+  /**
+   * Merge a role's settings for a webhook event (follow, join, postback, ...)
+   * with the defaults from config/line.config.js
+   * @param {object} roleConfig - Role configuration
+   * @param {string} eventType - LINE webhook event type
+   * @returns {object} Event settings
+   */
+  getEventSettings(roleConfig, eventType) {
+    const roleEvents = (roleConfig && roleConfig.events) || {};
+    return {
+      ...(lineConfig.eventDefaults[eventType] || {}),
+      ...(roleEvents[eventType] || {})
+    };
+  }
+
   /**
    * List all available roles
    * @returns {array} Array of role objects with id and config
@@ -119,6 +137,23 @@ class RoleService {
     }));
   }
 
+  /**
+   * Roles users may switch themselves to, with /role or a rich menu postback.
+   * Admins may pick any role; everyone else is limited to commandConfig.switchableRoles (empty allows all).
+   * @param {boolean} isAdmin - Whether the user is a command admin
+   */
+  listSwitchableRoles(isAdmin = false) {
+    return this.listRoles().filter(role =>
+      isAdmin || commandConfig.switchableRoles.length === 0 || commandConfig.switchableRoles.includes(role.roleId));
+  }
+
+  /**
+   * Check whether a user may switch themselves to a role
+   */
+  isSwitchableRole(roleId, isAdmin = false) {
+    return this.listSwitchableRoles(isAdmin).some(role => role.roleId === roleId);
+  }
+
   /**
    * Create a new role
    * @param {string} roleId - Unique role identifier
@@ -284,6 +319,70 @@ class RoleService {
     return this.saveConfig();
   }
 
+  /**
+   * Get the reply policy of a group, falling back to the default mode
+   * @param {string} groupId - LINE group ID
+   * @returns {object} { mode, keywords }
+   */
+  getGroupReplyPolicy(groupId) {
+    this.loadConfig();
+    const policy = (this.config.groupReplyPolicy && this.config.groupReplyPolicy[groupId]) || {};
+    return {
+      mode: policy.mode || lineConfig.groupReplies.defaultMode,
+      keywords: policy.keywords || []
+    };
+  }
+
+  /**
+   * Set the reply policy of a group
+   * @param {string} groupId - LINE group ID
+   * @param {object} policy - { mode: 'always' | 'mention' | 'keyword' | 'never', keywords }
+   * @returns {boolean} Success status
+   */
+  setGroupReplyPolicy(groupId, policy) {
+    this.loadConfig();
+
+    if (!lineConfig.groupReplies.modes.includes(policy.mode)) {
+      console.error(`Unknown group reply mode ${policy.mode}`);
+      return false;
+    }
+
+    if (!this.config.groupReplyPolicy) {
+      this.config.groupReplyPolicy = {};
+    }
+
+    this.config.groupReplyPolicy[groupId] = {
+      mode: policy.mode,
+      keywords: policy.mode === 'keyword' ? policy.keywords : []
+    };
+    return this.saveConfig();
+  }
+
+  /**
+   * Remove the reply policy of a group (it goes back to the default mode)
+   * @param {string} groupId - LINE group ID
+   * @returns {boolean} Success status
+   */
+  removeGroupReplyPolicy(groupId) {
+    this.loadConfig();
+
+    if (!this.config.groupReplyPolicy || !this.config.groupReplyPolicy[groupId]) {
+      return false;
+    }
+
+    delete this.config.groupReplyPolicy[groupId];
+    return this.saveConfig();
+  }
+
+  /**
+   * Get all group reply policies
+   * @returns {object} Group to policy mapping
+   */
+  getGroupReplyPolicies() {
+    this.loadConfig();
+    return this.config.groupReplyPolicy || {};
+  }
+
   /**
    * Get all user role mappings
    * @returns {object} User to role mapping
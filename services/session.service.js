@@ -1,17 +1,22 @@
 const crypto = require('crypto');
+const { createStore } = require('../stores/store.factory');
 
 class SessionService {
-  constructor() {
-    // In-memory storage for sessions (for production, use Redis or a database)
-    this.sessions = new Map();
+  constructor(store = createStore('sessions'), conversationStore = createStore('conversations')) {
+    // Session storage adapter (memory or file, selected in config/storage.config.js)
+    this.sessions = store;
+    // Maps external conversation keys (e.g. LINE bot + source) to session IDs
+    this.conversations = conversationStore;
     this.sessionTimeout = 30 * 60 * 1000; // 30 minutes
   }
 
   /**
    * Create a new session
    * @param {string} roleId - The AI role ID for this session
+   * @param {object} systemPrompt - Optional { user, model } pair the session starts with.
+   *   It is pinned (session.pinnedCount) so trimming and summarization keep it.
    */
-  createSession(roleId = 'customer-service') {
+  createSession(roleId = 'customer-service', systemPrompt = null) {
     const sessionId = crypto.randomUUID();
     const session = {
       id: sessionId,
@@ -21,6 +26,14 @@ class SessionService {
       lastAccessedAt: Date.now()
     };
 
+    if (systemPrompt) {
+      session.messages = [
+        { role: 'user', content: systemPrompt.user },
+        { role: 'model', content: systemPrompt.model }
+      ];
+      session.pinnedCount = 2;
+    }
+
     this.sessions.set(sessionId, session);
     return sessionId;
   }
@@ -42,12 +55,13 @@ class SessionService {
 
       // Only clear session if response count is 100 or more
       if (responseCount >= 100) {
-        this.sessions.delete(sessionId);
+        this.deleteSession(sessionId);
         return null;
       }
     }
 
-    // Update last accessed time
+    // Update last accessed time in memory only; it's persisted with the next change,
+    // so reading a session doesn't rewrite it to the store
     session.lastAccessedAt = Date.now();
     return session;
   }
@@ -71,21 +85,59 @@ class SessionService {
 
   /**
    * Add message to session
+   * @param {object} fields - Extra fields kept with the message, e.g. { author: 'human' }
+   *   for staff replies during a LINE handoff
    */
-  addMessage(sessionId, role, content) {
+  addMessage(sessionId, role, content, fields = {}) {
     const session = this.getSession(sessionId);
 
     if (!session) {
       throw new Error('Session not found or expired');
     }
 
-    session.messages.push({ role, content });
+    session.messages.push({ role, content, ...fields });
     session.lastAccessedAt = Date.now();
     this.sessions.set(sessionId, session);
 
     return session;
   }
 
+  /**
+   * Store the rolling summary for a session
+   * @param {string} sessionId - Session ID
+   * @param {object} summary - { text, summarizedCount, updatedAt }
+   */
+  setSummary(sessionId, summary) {
+    const session = this.getSession(sessionId);
+
+    if (!session) {
+      throw new Error('Session not found or expired');
+    }
+
+    session.summary = summary;
+    this.sessions.set(sessionId, session);
+
+    return session;
+  }
+
+  /**
+   * Set the reply language picked with /lang
+   * @param {string} sessionId - Session ID
+   * @param {string|null} language - Language code, or null for automatic
+   */
+  setLanguage(sessionId, language) {
+    const session = this.getSession(sessionId);
+
+    if (!session) {
+      throw new Error('Session not found or expired');
+    }
+
+    session.language = language;
+    this.sessions.set(sessionId, session);
+
+    return session;
+  }
+
   /**
    * Get session messages
    */
@@ -100,9 +152,14 @@ class SessionService {
   }
 
   /**
-   * Delete session
+   * Delete session, and the conversation binding that points at it
    */
   deleteSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session && session.conversationKey &&
+        this.getConversationSessionId(session.conversationKey) === sessionId) {
+      this.unbindConversation(session.conversationKey);
+    }
     return this.sessions.delete(sessionId);
   }
 
@@ -111,6 +168,7 @@ class SessionService {
    */
   clearAllSessions() {
     this.sessions.clear();
+    this.conversations.clear();
   }
 
   /**
@@ -128,21 +186,83 @@ class SessionService {
 
         // Only clear session if response count is 100 or more
         if (responseCount >= 100) {
-          this.sessions.delete(sessionId);
+          this.deleteSession(sessionId);
           cleanedCount++;
         }
       }
     }
 
+    // Bindings left over from sessions deleted before they were tracked on the session
+    for (const [conversationKey, mapping] of Array.from(this.conversations.entries())) {
+      if (!this.sessions.has(mapping.sessionId)) {
+        this.unbindConversation(conversationKey);
+      }
+    }
+
     return cleanedCount;
   }
 
+  /**
+   * List sessions without their messages (for the admin dashboard)
+   */
+  listSessions() {
+    return Array.from(this.sessions.values())
+      .map(session => ({
+        id: session.id,
+        roleId: session.roleId,
+        messageCount: session.messages.length,
+        hasSummary: !!(session.summary && session.summary.text),
+        createdAt: session.createdAt,
+        lastAccessedAt: session.lastAccessedAt
+      }))
+      .sort((a, b) => b.lastAccessedAt - a.lastAccessedAt);
+  }
+
+  /**
+   * Get the session ID bound to an external conversation key
+   * @param {string} conversationKey - e.g. `${destination}:${sourceType}:${sourceId}`
+   * @returns {string|null} Session ID, or null if none is bound
+   */
+  getConversationSessionId(conversationKey) {
+    const mapping = this.conversations.get(conversationKey);
+    return mapping ? mapping.sessionId : null;
+  }
+
+  /**
+   * Bind an external conversation key to a session
+   * @param {string} conversationKey - Conversation key
+   * @param {string} sessionId - Session ID
+   */
+  bindConversation(conversationKey, sessionId) {
+    this.conversations.set(conversationKey, {
+      sessionId,
+      updatedAt: Date.now()
+    });
+
+    // Kept on the session so deleteSession can drop the binding
+    const session = this.sessions.get(sessionId);
+    if (session && session.conversationKey !== conversationKey) {
+      session.conversationKey = conversationKey;
+      this.sessions.set(sessionId, session);
+    }
+  }
+
+  /**
+   * Remove the binding for an external conversation key
+   * @param {string} conversationKey - Conversation key
+   * @returns {boolean} Whether a binding existed
+   */
+  unbindConversation(conversationKey) {
+    return this.conversations.delete(conversationKey);
+  }
+
   /**
    * Get session statistics
    */
   getStats() {
     return {
       totalSessions: this.sessions.size,
+      conversationBindings: this.conversations.size,
       activeSessions: Array.from(this.sessions.values()).filter(
         session => Date.now() - session.lastAccessedAt < this.sessionTimeout
       ).length
@@ -0,0 +1,123 @@
+const geminiConfig = require('../config/gemini.config');
+const geminiService = require('./gemini.service');
+const sessionService = require('./session.service');
+const logger = require('../utils/logger.util');
+
+class SummaryService {
+  /**
+   * Merge a role's summarization settings with the global defaults
+   * @param {object} roleConfig - Role configuration (may be null)
+   */
+  getSettings(roleConfig) {
+    return {
+      ...geminiConfig.summarization,
+      ...(roleConfig && roleConfig.summarization ? roleConfig.summarization : {})
+    };
+  }
+
+  /**
+   * Compress older turns into the session's rolling summary once the number of
+   * unsummarized user turns passes the role's maxTurns setting.
+   * The full transcript stays in session.messages; only session.summary changes.
+   * @param {string} sessionId - Session ID
+   * @param {object} roleConfig - Role configuration
+   * @param {object} options - { pinnedCount } leading messages never summarized
+   * @returns {object|null} Updated summary, or null if nothing was summarized
+   */
+  async summarizeIfNeeded(sessionId, roleConfig, options = {}) {
+    const settings = this.getSettings(roleConfig);
+    if (!settings.enabled) {
+      return null;
+    }
+
+    const session = sessionService.getSession(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const pinnedCount = options.pinnedCount || 0;
+    const start = Math.max(pinnedCount, session.summary ? session.summary.summarizedCount : 0);
+    const pending = session.messages.slice(start);
+
+    // Indexes (within pending) of messages that start a user turn
+    const turnStarts = [];
+    pending.forEach((msg, index) => {
+      if (msg.role === 'user') turnStarts.push(index);
+    });
+
+    if (turnStarts.length <= settings.maxTurns) {
+      return null;
+    }
+
+    // Summarize everything before the most recent keepRecentTurns turns
+    // (clamped below maxTurns so a misconfigured role still leaves something to summarize)
+    const keepTurns = Math.max(1, Math.min(settings.keepRecentTurns, settings.maxTurns - 1));
+    const cutoff = turnStarts[turnStarts.length - keepTurns];
+    const toSummarize = pending.slice(0, cutoff);
+    if (toSummarize.length === 0) {
+      return null;
+    }
+
+    const transcript = toSummarize
+      .map(msg => `${msg.role === 'model' ? 'AI' : 'User'}: ${msg.content}`)
+      .join('\n');
+
+    let prompt = settings.prompt;
+    if (session.summary && session.summary.text) {
+      prompt += `\n\n【先前的摘要】\n${session.summary.text}`;
+    }
+    prompt += `\n\n【新的對話內容】\n${transcript}`;
+
+    try {
+      const result = await geminiService.generateText(prompt, {
+        model: roleConfig ? roleConfig.geminiModel : undefined,
+        temperature: 0.2,
+        maxOutputTokens: settings.maxSummaryTokens
+      });
+
+      const summary = {
+        text: result.text.trim(),
+        summarizedCount: start + cutoff,
+        updatedAt: Date.now()
+      };
+      sessionService.setSummary(sessionId, summary);
+
+      logger.info('Session summarized', {
+        sessionId,
+        summarizedMessages: toSummarize.length,
+        summarizedCount: summary.summarizedCount
+      });
+
+      return summary;
+    } catch (error) {
+      // A failed summary must not block the conversation; history trimming still applies
+      logger.error('Session summarization failed', { sessionId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Build the messages to send to Gemini for a session:
+   * pinned system prompt pair + summary pair + unsummarized messages.
+   * @param {object} session - Session object
+   * @param {number} pinnedCount - Number of leading system prompt messages
+   * @returns {object} { messages, pinnedCount } where pinnedCount includes the summary pair
+   */
+  buildContext(session, pinnedCount = 0) {
+    if (!session.summary || !session.summary.text) {
+      return { messages: session.messages, pinnedCount };
+    }
+
+    const start = Math.max(pinnedCount, session.summary.summarizedCount);
+    const messages = [
+      ...session.messages.slice(0, pinnedCount),
+      { role: 'user', content: `以下是我們先前對話的摘要：\n${session.summary.text}` },
+      { role: 'model', content: '好的，我會參考這份摘要繼續對話。' },
+      ...session.messages.slice(start)
+    ];
+
+    return { messages, pinnedCount: pinnedCount + 2 };
+  }
+}
+
+module.exports = new SummaryService();
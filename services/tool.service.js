@@ -0,0 +1,116 @@
+const logger = require('../utils/logger.util');
+
+/**
+ * Registry of server-side tools the model may call.
+ *
+ * A tool is { name, description, parameters, handler } where parameters is a
+ * JSON schema (Gemini function declaration format) and handler(args, context)
+ * returns (or resolves to) a JSON-serializable object.
+ */
+class ToolService {
+  constructor() {
+    this.tools = new Map();
+
+    // Built-in tools
+    this.registerAll(require('../tools/company.tools'));
+    this.registerAll(require('../tools/time.tools'));
+    this.registerAll(require('../tools/crm.tools'));
+  }
+
+  /**
+   * Register a tool
+   * @param {object} tool - { name, description, parameters, handler }
+   */
+  register(tool) {
+    if (!tool || !tool.name || typeof tool.handler !== 'function') {
+      throw new Error('Tool must have a name and a handler function');
+    }
+
+    if (this.tools.has(tool.name)) {
+      logger.warn(`Tool ${tool.name} is already registered, replacing it`);
+    }
+
+    this.tools.set(tool.name, tool);
+  }
+
+  /**
+   * Register a list of tools
+   * @param {array} tools - Tool definitions
+   */
+  registerAll(tools) {
+    tools.forEach(tool => this.register(tool));
+  }
+
+  /**
+   * Check if a tool is registered
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * List registered tools (without handlers)
+   */
+  listTools() {
+    return Array.from(this.tools.values()).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters || null
+    }));
+  }
+
+  /**
+   * Get Gemini function declarations for the given tool names
+   * Unknown names are skipped
+   * @param {array} names - Tool names
+   * @returns {array} Function declarations
+   */
+  getDeclarations(names = []) {
+    return names
+      .filter(name => {
+        if (!this.tools.has(name)) {
+          logger.warn(`Unknown tool requested: ${name}`);
+          return false;
+        }
+        return true;
+      })
+      .map(name => {
+        const tool = this.tools.get(name);
+        const declaration = {
+          name: tool.name,
+          description: tool.description
+        };
+        if (tool.parameters) {
+          declaration.parameters = tool.parameters;
+        }
+        return declaration;
+      });
+  }
+
+  /**
+   * Execute a tool call requested by the model
+   * Errors are returned to the model as { error } instead of being thrown
+   * @param {string} name - Tool name
+   * @param {object} args - Arguments from the model
+   * @param {object} context - Caller context (e.g. { userId, groupId, roleId, sessionId })
+   * @returns {object} Tool result
+   */
+  async execute(name, args = {}, context = {}) {
+    const tool = this.tools.get(name);
+
+    if (!tool) {
+      return { error: `Unknown tool: ${name}` };
+    }
+
+    try {
+      const result = await tool.handler(args || {}, context);
+      logger.info('Tool executed', { tool: name });
+      return result && typeof result === 'object' ? result : { result };
+    } catch (error) {
+      logger.error('Tool execution failed', { tool: name, error: error.message });
+      return { error: error.message };
+    }
+  }
+}
+
+module.exports = new ToolService();
@@ -0,0 +1,22 @@
+/**
+ * Per-bot webhook counters since the process started (requests, events,
+ * signature failures and rate-limited requests), shown on the admin LINE health endpoint.
+ */
+class WebhookStatsService {
+  constructor() {
+    // bot key -> counters
+    this.stats = new Map();
+  }
+
+  /**
+   * Get the counters for a bot, creating them on first use
+   */
+  getBotStats(botKey) {
+    if (!this.stats.has(botKey)) {
+      this.stats.set(botKey, { webhooks: 0, events: 0, signatureFailures: 0, rateLimited: 0, lastWebhookAt: null });
+    }
+    return this.stats.get(botKey);
+  }
+}
+
+module.exports = new WebhookStatsService();
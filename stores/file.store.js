@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger.util');
+
+/**
+ * File-backed key/value store.
+ *
+ * Every change is appended to a JSON-lines log (one operation per line) and
+ * replayed into memory on startup, so reads stay synchronous and data survives
+ * restarts. The log is compacted to one line per live key once it holds more
+ * than compactThreshold stale lines, or once the bytes appended since the last
+ * compaction outgrow the compacted file (and compactMinBytes).
+ * Values returned by get() are the stored objects: changing one in place is not
+ * persisted until it is passed to set() again.
+ */
+class FileStore {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.items = new Map();
+    this.filePath = path.join(options.dataDir, `${name}.jsonl`);
+    this.compactThreshold = options.compactThreshold || 500;
+    this.compactMinBytes = options.compactMinBytes || 1024 * 1024;
+    this.staleLines = 0;
+    // Size of the file after the last compaction, and bytes appended since
+    this.compactedBytes = 0;
+    this.appendedBytes = 0;
+
+    if (!fs.existsSync(options.dataDir)) {
+      fs.mkdirSync(options.dataDir, { recursive: true });
+    }
+
+    this.load();
+  }
+
+  /**
+   * Replay the log file into memory
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A partially written last line (e.g. crash mid-write) is skipped
+        logger.error(`Skipping corrupt line in ${this.filePath}`, { error: error.message });
+        continue;
+      }
+
+      if (record.op === 'set') {
+        this.items.set(record.key, record.value);
+      } else if (record.op === 'delete') {
+        this.items.delete(record.key);
+      } else if (record.op === 'clear') {
+        this.items.clear();
+      }
+    }
+
+    this.compact();
+  }
+
+  /**
+   * Append a single operation to the log
+   */
+  append(record) {
+    const line = JSON.stringify(record) + '\n';
+    fs.appendFileSync(this.filePath, line, 'utf8');
+    this.staleLines++;
+    this.appendedBytes += Buffer.byteLength(line, 'utf8');
+
+    if (this.staleLines - this.items.size > this.compactThreshold ||
+        this.appendedBytes > Math.max(this.compactedBytes, this.compactMinBytes)) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Rewrite the log with one 'set' line per live key
+   */
+  compact() {
+    const tmpPath = `${this.filePath}.tmp`;
+    const lines = [];
+    for (const [key, value] of this.items.entries()) {
+      lines.push(JSON.stringify({ op: 'set', key, value }));
+    }
+
+    const content = lines.length > 0 ? lines.join('\n') + '\n' : '';
+    fs.writeFileSync(tmpPath, content, 'utf8');
+    fs.renameSync(tmpPath, this.filePath);
+    this.staleLines = lines.length;
+    this.compactedBytes = Buffer.byteLength(content, 'utf8');
+    this.appendedBytes = 0;
+  }
+
+  get(key) {
+    return this.items.get(key);
+  }
+
+  set(key, value) {
+    this.items.set(key, value);
+    this.append({ op: 'set', key, value });
+    return value;
+  }
+
+  has(key) {
+    return this.items.has(key);
+  }
+
+  delete(key) {
+    const existed = this.items.delete(key);
+    if (existed) {
+      this.append({ op: 'delete', key });
+    }
+    return existed;
+  }
+
+  clear() {
+    this.items.clear();
+    this.compact();
+  }
+
+  entries() {
+    return this.items.entries();
+  }
+
+  values() {
+    return this.items.values();
+  }
+
+  get size() {
+    return this.items.size;
+  }
+}
+
+module.exports = FileStore;
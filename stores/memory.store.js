@@ -0,0 +1,45 @@
+/**
+ * In-memory key/value store backed by a Map.
+ * Data is lost when the process restarts.
+ */
+class MemoryStore {
+  constructor(name) {
+    this.name = name;
+    this.items = new Map();
+  }
+
+  get(key) {
+    return this.items.get(key);
+  }
+
+  set(key, value) {
+    this.items.set(key, value);
+    return value;
+  }
+
+  has(key) {
+    return this.items.has(key);
+  }
+
+  delete(key) {
+    return this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+
+  entries() {
+    return this.items.entries();
+  }
+
+  values() {
+    return this.items.values();
+  }
+
+  get size() {
+    return this.items.size;
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,30 @@
+const storageConfig = require('../config/storage.config');
+const MemoryStore = require('./memory.store');
+const FileStore = require('./file.store');
+
+const adapters = {
+  memory: MemoryStore,
+  file: FileStore
+};
+
+/**
+ * Create a named key/value store using the configured adapter.
+ * All adapters expose the same synchronous interface:
+ * get, set, has, delete, clear, entries, values and size.
+ * @param {string} name - Store name (used as the file name by the file adapter)
+ * @param {object} options - Overrides for storageConfig (e.g. { adapter: 'file' })
+ */
+function createStore(name, options = {}) {
+  const config = { ...storageConfig, ...options };
+  const Adapter = adapters[config.adapter];
+
+  if (!Adapter) {
+    throw new Error(`Unknown storage adapter: ${config.adapter}`);
+  }
+
+  return new Adapter(name, config);
+}
+
+module.exports = {
+  createStore
+};
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStore = require('../stores/file.store');
+const logger = require('../utils/logger.util');
+
+const tempDirs = [];
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+test.after(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+function lineCount(store) {
+  return fs.readFileSync(store.filePath, 'utf8').split('\n').filter(Boolean).length;
+}
+
+test('FileStore reloads sets and deletes from its log', () => {
+  const dataDir = tempDir();
+  const store = new FileStore('items', { dataDir });
+  store.set('a', { n: 1 });
+  store.set('b', { n: 2 });
+  store.set('a', { n: 3 });
+  store.delete('b');
+
+  const reloaded = new FileStore('items', { dataDir });
+  assert.deepStrictEqual(reloaded.get('a'), { n: 3 });
+  assert.strictEqual(reloaded.has('b'), false);
+  assert.strictEqual(reloaded.size, 1);
+});
+
+test('FileStore compacts the log once it holds too many stale lines', () => {
+  const dataDir = tempDir();
+  const store = new FileStore('items', { dataDir, compactThreshold: 5 });
+  for (let i = 0; i < 20; i++) {
+    store.set('a', { n: i });
+  }
+
+  assert.ok(lineCount(store) <= 6, `expected a compacted log, got ${lineCount(store)} lines`);
+  assert.deepStrictEqual(new FileStore('items', { dataDir }).get('a'), { n: 19 });
+});
+
+test('FileStore compacts the log once the appended bytes outgrow the file', () => {
+  const dataDir = tempDir();
+  const store = new FileStore('items', { dataDir, compactThreshold: 1000, compactMinBytes: 1024 });
+  const value = { text: 'x'.repeat(500) };
+  for (let i = 0; i < 50; i++) {
+    store.set('a', { ...value, n: i });
+  }
+
+  // Without compaction the log would be about 50 x 540 bytes
+  assert.ok(fs.statSync(store.filePath).size < 3 * 1024);
+  assert.strictEqual(new FileStore('items', { dataDir }).get('a').n, 49);
+});
+
+test('FileStore skips a partially written last line', (t) => {
+  const logError = t.mock.method(logger, 'error', () => {});
+  const dataDir = tempDir();
+  const store = new FileStore('items', { dataDir });
+  store.set('a', 1);
+  fs.appendFileSync(store.filePath, '{"op":"set","key":"b","va');
+
+  const reloaded = new FileStore('items', { dataDir });
+  assert.strictEqual(reloaded.get('a'), 1);
+  assert.strictEqual(reloaded.has('b'), false);
+  assert.strictEqual(logError.mock.callCount(), 1);
+});
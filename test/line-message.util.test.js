@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LINE_LIMITS, splitText, extractReplyText } = require('../utils/line-message.util');
+
+const limit = LINE_LIMITS.textLength;
+
+test('splitText keeps text up to the limit in one chunk', () => {
+  assert.deepStrictEqual(splitText('a'.repeat(limit)), ['a'.repeat(limit)]);
+  assert.deepStrictEqual(splitText('  hello  '), ['hello']);
+  assert.deepStrictEqual(splitText('   '), []);
+});
+
+test('splitText hard-cuts text without breaks at the limit', () => {
+  const chunks = splitText('a'.repeat(limit + 1));
+  assert.deepStrictEqual(chunks.map(chunk => chunk.length), [limit, 1]);
+
+  const long = 'b'.repeat(limit * 2 + 10);
+  assert.strictEqual(splitText(long).join(''), long);
+});
+
+test('splitText breaks at the last paragraph before the limit', () => {
+  const first = 'a'.repeat(limit - 100);
+  const second = 'b'.repeat(200);
+  assert.deepStrictEqual(splitText(`${first}\n\n${second}`), [first, second]);
+});
+
+test('splitText breaks after CJK sentence ends', () => {
+  const sentence = '這是一個測試句子。';
+  const text = sentence.repeat(Math.ceil((limit + 50) / sentence.length));
+  const chunks = splitText(text);
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => {
+    assert.ok(chunk.length <= limit);
+    assert.ok(chunk.endsWith('。'), 'each chunk should end on a sentence');
+  });
+  assert.strictEqual(chunks.join(''), text);
+});
+
+test('splitText does not cut a surrogate pair in half', () => {
+  const text = 'a'.repeat(limit - 1) + '😀' + 'a';
+  const [first, second] = splitText(text);
+  assert.strictEqual(first, 'a'.repeat(limit - 1));
+  assert.strictEqual(second, '😀a');
+});
+
+test('extractReplyText recovers the text of truncated structured replies', () => {
+  assert.strictEqual(extractReplyText('{"text": "方案如下\\n請參考", "cards": [{"title":'), '方案如下\n請參考');
+  assert.strictEqual(extractReplyText('{"cards": ['), '');
+  assert.strictEqual(extractReplyText('{"text": "unterminated'), '');
+});
@@ -0,0 +1,133 @@
+process.env.QUEUE_STORAGE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const queueConfig = require('../config/queue.config');
+const MemoryStore = require('../stores/memory.store');
+const QueueService = require('../services/queue.service').constructor;
+
+Object.assign(queueConfig, { concurrency: 2, maxAttempts: 3, backoffBase: 1000, backoffMax: 3000 });
+
+// Let started jobs (and their failure handling) finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function createQueue() {
+  return new QueueService(new MemoryStore('jobs'), new MemoryStore('dead-letters'));
+}
+
+test('failed jobs are retried with exponential backoff, then dead-lettered', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const queue = createQueue();
+  queue.registerHandler('fail', async () => {
+    throw new Error('boom');
+  });
+  const job = queue.enqueue('fail', {});
+
+  const delays = [];
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const before = Date.now();
+    queue.poll();
+    await settle();
+    if (attempt < 3) {
+      delays.push(Math.round((queue.jobs.get(job.id).nextRunAt - before) / 1000) * 1000);
+      queue.jobs.get(job.id).nextRunAt = 0;
+    }
+  }
+
+  assert.deepStrictEqual(delays, [1000, 2000]);
+  assert.strictEqual(queue.jobs.size, 0);
+  assert.strictEqual(queue.listDeadLetters()[0].attempts, 3);
+});
+
+test('the backoff is capped at backoffMax', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const queue = createQueue();
+  queue.registerHandler('fail', async () => {
+    throw new Error('boom');
+  });
+  const job = queue.enqueue('fail', {}, { maxAttempts: 5 });
+  job.attempts = 3;
+
+  const before = Date.now();
+  queue.poll();
+  await settle();
+  // 1000 * 2^3 would be 8000 ms
+  const delay = queue.jobs.get(job.id).nextRunAt - before;
+  assert.ok(delay >= queueConfig.backoffMax && delay < queueConfig.backoffMax + 100, `unexpected delay ${delay}`);
+});
+
+test('non-retryable errors are dead-lettered right away', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const queue = createQueue();
+  queue.registerHandler('reject', async () => {
+    const err = new Error('bad request');
+    err.retryable = false;
+    throw err;
+  });
+  queue.enqueue('reject', {});
+
+  queue.poll();
+  await settle();
+  assert.strictEqual(queue.jobs.size, 0);
+  assert.strictEqual(queue.listDeadLetters().length, 1);
+});
+
+test('a job waiting for its retry holds back the rest of its group', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const queue = createQueue();
+  const order = [];
+  let failedOnce = false;
+  queue.registerHandler('event', async ({ n }) => {
+    if (n === 1 && !failedOnce) {
+      failedOnce = true;
+      throw new Error('temporary');
+    }
+    order.push(n);
+  });
+
+  const first = queue.enqueue('event', { n: 1 }, { groupKey: 'conversation' });
+  queue.enqueue('event', { n: 2 }, { groupKey: 'conversation' });
+  queue.enqueue('event', { n: 3 }, { groupKey: 'other' });
+
+  queue.poll();
+  await settle();
+  // Job 1 failed and waits for its retry; job 3 belongs to another group
+  assert.deepStrictEqual(order, [3]);
+
+  queue.poll();
+  await settle();
+  assert.deepStrictEqual(order, [3], 'job 2 must not overtake job 1');
+
+  queue.jobs.get(first.id).nextRunAt = 0;
+  queue.poll();
+  await settle();
+  queue.poll();
+  await settle();
+  assert.deepStrictEqual(order, [3, 1, 2]);
+});
+
+test('jobs of one group never run at the same time', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const queue = createQueue();
+  let running = 0;
+  let maxRunning = 0;
+  queue.registerHandler('event', async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await settle();
+    running--;
+  });
+
+  queue.enqueue('event', {}, { groupKey: 'conversation' });
+  queue.enqueue('event', {}, { groupKey: 'conversation' });
+
+  for (let i = 0; i < 4; i++) {
+    queue.poll();
+    await settle();
+    await settle();
+  }
+  assert.strictEqual(queue.jobs.size, 0);
+  assert.strictEqual(maxRunning, 1);
+});
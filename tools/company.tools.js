@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const roleService = require('../services/role.service');
+
+const FAQ_PATH = path.join(__dirname, '..', 'data', 'company-faq.json');
+
+/**
+ * Company information tools
+ */
+module.exports = [
+  {
+    name: 'get_role_description',
+    description: '查詢 AI 角色的名稱與說明。未指定 roleId 時回傳所有角色。',
+    parameters: {
+      type: 'object',
+      properties: {
+        roleId: {
+          type: 'string',
+          description: '角色 ID，例如 customer-service、sales、technical-support'
+        }
+      }
+    },
+    handler: ({ roleId }) => {
+      const roles = roleService.listRoles()
+        .filter(role => !roleId || role.roleId === roleId)
+        .map(role => ({
+          roleId: role.roleId,
+          name: role.name,
+          description: role.description || ''
+        }));
+
+      if (roleId && roles.length === 0) {
+        return { error: `Role ${roleId} not found` };
+      }
+
+      return { roles };
+    }
+  },
+  {
+    name: 'get_company_faq',
+    description: '查詢公司常見問題（服務項目、技術、聯絡方式等）。可提供關鍵字篩選。',
+    parameters: {
+      type: 'object',
+      properties: {
+        keyword: {
+          type: 'string',
+          description: '要搜尋的關鍵字，例如「AI」、「報價」'
+        }
+      }
+    },
+    handler: ({ keyword }) => {
+      const faq = JSON.parse(fs.readFileSync(FAQ_PATH, 'utf8'));
+      const entries = keyword
+        ? faq.filter(entry => `${entry.question}\n${entry.answer}`.toLowerCase().includes(keyword.toLowerCase()))
+        : faq;
+
+      return { entries: entries.length > 0 ? entries : faq };
+    }
+  }
+];
@@ -0,0 +1,73 @@
+const crmService = require('../services/crm.service');
+
+/**
+ * Pick the caller details worth keeping on a CRM record
+ */
+const getSource = (context) => ({
+  channel: context.channel || null,
+  userId: context.userId || null,
+  groupId: context.groupId || null,
+  roleId: context.roleId || null,
+  sessionId: context.sessionId || null
+});
+
+/**
+ * Key identifying this tool call across retries of the same LINE event, so a
+ * retried event returns the record it already created instead of a duplicate
+ */
+const getRequestKey = (context, toolName) => (
+  context.eventId ? `${context.eventId}:${toolName}:${context.callIndex || 0}` : null
+);
+
+/**
+ * Sales and support tools
+ */
+module.exports = [
+  {
+    name: 'create_lead',
+    description: '當客戶表達購買或洽談意願並提供聯絡方式時，建立一筆銷售潛在客戶紀錄。',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: '客戶姓名' },
+        contact: { type: 'string', description: '電話或 Email' },
+        company: { type: 'string', description: '公司名稱' },
+        requirement: { type: 'string', description: '客戶需求摘要' }
+      },
+      required: ['name', 'contact']
+    },
+    handler: (args, context) => {
+      if (!args.name || !args.contact) {
+        return { error: 'name and contact are required' };
+      }
+
+      const lead = crmService.createLead(args, getSource(context), getRequestKey(context, 'create_lead'));
+      return { leadId: lead.id, status: lead.status };
+    }
+  },
+  {
+    name: 'open_ticket',
+    description: '當客戶回報無法在對話中解決的技術問題時，建立技術支援工單並回傳工單編號。',
+    parameters: {
+      type: 'object',
+      properties: {
+        subject: { type: 'string', description: '問題標題' },
+        description: { type: 'string', description: '問題描述與重現步驟' },
+        priority: {
+          type: 'string',
+          description: '優先順序',
+          enum: ['low', 'normal', 'high', 'urgent']
+        }
+      },
+      required: ['subject', 'description']
+    },
+    handler: (args, context) => {
+      if (!args.subject) {
+        return { error: 'subject is required' };
+      }
+
+      const ticket = crmService.openTicket(args, getSource(context), getRequestKey(context, 'open_ticket'));
+      return { ticketId: ticket.id, status: ticket.status, priority: ticket.priority };
+    }
+  }
+];
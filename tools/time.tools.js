@@ -0,0 +1,18 @@
+/**
+ * Date and time tools
+ */
+module.exports = [
+  {
+    name: 'get_taipei_time',
+    description: '取得台北（Asia/Taipei）目前的日期與時間。',
+    handler: () => {
+      const now = new Date();
+      return {
+        timeZone: 'Asia/Taipei',
+        iso: now.toISOString(),
+        local: now.toLocaleString('zh-TW', { timeZone: 'Asia/Taipei', hour12: false }),
+        weekday: now.toLocaleDateString('zh-TW', { timeZone: 'Asia/Taipei', weekday: 'long' })
+      };
+    }
+  }
+];
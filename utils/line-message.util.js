@@ -0,0 +1,280 @@
+/**
+ * LINE message helpers
+ *
+ * Turns a role's structured Gemini output (JSON describing cards, buttons and
+ * quick-reply chips) into LINE Flex Messages and quick-reply items, checked
+ * against the Messaging API limits. Anything malformed throws, so callers can
+ * fall back to a plain text reply. Also splits long text into message-sized chunks.
+ */
+
+// https://developers.line.biz/en/reference/messaging-api/#message-objects
+const LINE_LIMITS = {
+  textLength: 5000,
+  messagesPerRequest: 5,
+  altTextLength: 400,
+  carouselBubbles: 12,
+  bubbleSize: 30 * 1024, // bytes of JSON per bubble
+  carouselSize: 50 * 1024, // bytes of JSON per carousel
+  buttonLabelLength: 40,
+  quickReplyItems: 13,
+  quickReplyLabelLength: 20,
+  messageActionTextLength: 300,
+  postbackDataLength: 300,
+  uriLength: 1000,
+  imageUrlLength: 2000,
+  buttonsPerBubble: 4
+};
+
+const ALLOWED_URI_SCHEMES = /^(https?|line|tel):/i;
+
+// Sentence ends, including full-width CJK punctuation and any closing quotes/brackets after them
+const SENTENCE_END = /(?:[。！？；!?;…]+|\.(?=\s))[」』）)"'”’]*/g;
+
+// Don't break earlier than this fraction of the limit, so chunks stay reasonably full
+const MIN_CHUNK_RATIO = 0.3;
+
+class RichReplyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RichReplyError';
+  }
+}
+
+function requireString(value, field, maxLength) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new RichReplyError(`${field} must be a non-empty string`);
+  }
+  if (value.length > maxLength) {
+    throw new RichReplyError(`${field} exceeds ${maxLength} characters`);
+  }
+  return value;
+}
+
+/**
+ * Parse a Gemini reply that may contain structured output.
+ * Accepts a bare JSON object or one wrapped in a ```json fence.
+ * @returns {object|null} Parsed object, or null if the reply is plain text
+ * @throws {RichReplyError} If the reply looks like JSON but cannot be parsed
+ */
+function parseStructuredReply(reply) {
+  let text = reply.trim();
+  const fenced = text.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  if (fenced) {
+    text = fenced[1];
+  }
+  if (!text.startsWith('{')) {
+    return null;
+  }
+
+  let structured;
+  try {
+    structured = JSON.parse(text);
+  } catch (error) {
+    throw new RichReplyError(`Invalid JSON: ${error.message}`);
+  }
+  if (typeof structured !== 'object' || structured === null || Array.isArray(structured)) {
+    throw new RichReplyError('Structured reply must be a JSON object');
+  }
+  requireString(structured.text, 'text', LINE_LIMITS.textLength);
+  return structured;
+}
+
+/**
+ * Recover the `text` field of a structured reply that failed to parse or
+ * validate (e.g. truncated JSON), so the raw JSON is never sent as is.
+ * @returns {string} The text, or '' if the reply has no complete `text` string
+ */
+function extractReplyText(reply) {
+  const match = reply.match(/"text"\s*:\s*"((?:[^"\\]|\\.)*)"/);
+  if (!match) {
+    return '';
+  }
+  try {
+    return JSON.parse(`"${match[1]}"`).trim();
+  } catch (error) {
+    return match[1].trim();
+  }
+}
+
+/**
+ * Build a LINE action from { type, label, uri | text | data }
+ */
+function buildAction(button, field, labelLength) {
+  if (typeof button !== 'object' || button === null) {
+    throw new RichReplyError(`${field} must be an object`);
+  }
+  const label = requireString(button.label, `${field}.label`, labelLength);
+  const type = button.type || (button.uri ? 'uri' : button.data ? 'postback' : 'message');
+
+  switch (type) {
+    case 'uri': {
+      const uri = requireString(button.uri, `${field}.uri`, LINE_LIMITS.uriLength);
+      if (!ALLOWED_URI_SCHEMES.test(uri)) {
+        throw new RichReplyError(`${field}.uri must use http, https, line or tel`);
+      }
+      return { type: 'uri', label, uri };
+    }
+    case 'postback': {
+      const action = { type: 'postback', label, data: requireString(button.data, `${field}.data`, LINE_LIMITS.postbackDataLength) };
+      if (button.text) {
+        action.displayText = requireString(button.text, `${field}.text`, LINE_LIMITS.messageActionTextLength);
+      }
+      return action;
+    }
+    case 'message':
+      return { type: 'message', label, text: requireString(button.text || label, `${field}.text`, LINE_LIMITS.messageActionTextLength) };
+    default:
+      throw new RichReplyError(`${field}.type must be uri, postback or message`);
+  }
+}
+
+/**
+ * Build a Flex bubble from { title, text, imageUrl, buttons }
+ */
+function buildBubble(card, index) {
+  const field = `cards[${index}]`;
+  if (typeof card !== 'object' || card === null) {
+    throw new RichReplyError(`${field} must be an object`);
+  }
+
+  const contents = [
+    { type: 'text', text: requireString(card.title, `${field}.title`, LINE_LIMITS.textLength), weight: 'bold', size: 'lg', wrap: true }
+  ];
+  if (card.text) {
+    contents.push({ type: 'text', text: requireString(card.text, `${field}.text`, LINE_LIMITS.textLength), size: 'sm', color: '#666666', wrap: true });
+  }
+
+  const bubble = {
+    type: 'bubble',
+    body: { type: 'box', layout: 'vertical', spacing: 'sm', contents }
+  };
+
+  if (card.imageUrl) {
+    const url = requireString(card.imageUrl, `${field}.imageUrl`, LINE_LIMITS.imageUrlLength);
+    if (!url.startsWith('https://')) {
+      throw new RichReplyError(`${field}.imageUrl must be an https URL`);
+    }
+    bubble.hero = { type: 'image', url, size: 'full', aspectRatio: '20:13', aspectMode: 'cover' };
+  }
+
+  const buttons = Array.isArray(card.buttons) ? card.buttons.slice(0, LINE_LIMITS.buttonsPerBubble) : [];
+  if (buttons.length > 0) {
+    bubble.footer = {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'sm',
+      contents: buttons.map((button, buttonIndex) => ({
+        type: 'button',
+        style: buttonIndex === 0 ? 'primary' : 'link',
+        height: 'sm',
+        action: buildAction(button, `${field}.buttons[${buttonIndex}]`, LINE_LIMITS.buttonLabelLength)
+      }))
+    };
+  }
+
+  if (Buffer.byteLength(JSON.stringify(bubble)) > LINE_LIMITS.bubbleSize) {
+    throw new RichReplyError(`${field} exceeds the ${LINE_LIMITS.bubbleSize} byte bubble limit`);
+  }
+  return bubble;
+}
+
+/**
+ * Find where to cut a segment of text: the last paragraph break, then the last
+ * line break, sentence end or whitespace. Falls back to a hard cut.
+ */
+function findBreak(segment, maxLength) {
+  const minBreak = Math.floor(maxLength * MIN_CHUNK_RATIO);
+
+  const paragraph = segment.lastIndexOf('\n\n');
+  if (paragraph >= minBreak) return paragraph;
+
+  const line = segment.lastIndexOf('\n');
+  if (line >= minBreak) return line;
+
+  let sentenceEnd = -1;
+  for (const match of segment.matchAll(SENTENCE_END)) {
+    sentenceEnd = match.index + match[0].length;
+  }
+  if (sentenceEnd >= minBreak) return sentenceEnd;
+
+  const space = segment.search(/\s\S*$/);
+  if (space >= minBreak) return space;
+
+  // Don't split a surrogate pair (emoji, rare CJK characters)
+  const code = segment.charCodeAt(maxLength - 1);
+  return code >= 0xd800 && code <= 0xdbff && maxLength > 1 ? maxLength - 1 : maxLength;
+}
+
+/**
+ * Split text into chunks of at most maxLength characters, preferring paragraph,
+ * then sentence boundaries (CJK-aware).
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Maximum chunk length (defaults to LINE's text limit)
+ * @returns {string[]} Non-empty chunks
+ */
+function splitText(text, maxLength = LINE_LIMITS.textLength) {
+  const chunks = [];
+  let remaining = text.trim();
+
+  while (remaining.length > maxLength) {
+    const cut = findBreak(remaining.slice(0, maxLength), maxLength);
+    const chunk = remaining.slice(0, cut).trim();
+    if (chunk) chunks.push(chunk);
+    remaining = remaining.slice(cut).trim();
+  }
+  if (remaining) chunks.push(remaining);
+
+  return chunks;
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Build LINE messages from a parsed structured reply:
+ * the text message, then a Flex carousel for any cards, with quick-reply
+ * chips attached to the last message.
+ * Extra cards and chips beyond LINE's counts are dropped.
+ * @param {object} structured - { text, cards?, quickReplies? }
+ * @returns {array} LINE message objects
+ * @throws {RichReplyError} If a field is missing, invalid or over a limit
+ */
+function buildRichMessages(structured) {
+  const messages = [{ type: 'text', text: structured.text.trim() }];
+
+  const cards = Array.isArray(structured.cards) ? structured.cards.slice(0, LINE_LIMITS.carouselBubbles) : [];
+  if (cards.length > 0) {
+    const bubbles = cards.map(buildBubble);
+    const contents = bubbles.length === 1 ? bubbles[0] : { type: 'carousel', contents: bubbles };
+    if (Buffer.byteLength(JSON.stringify(contents)) > LINE_LIMITS.carouselSize) {
+      throw new RichReplyError(`Cards exceed the ${LINE_LIMITS.carouselSize} byte carousel limit`);
+    }
+    messages.push({
+      type: 'flex',
+      altText: truncate(structured.text.trim(), LINE_LIMITS.altTextLength),
+      contents
+    });
+  }
+
+  const chips = Array.isArray(structured.quickReplies) ? structured.quickReplies.slice(0, LINE_LIMITS.quickReplyItems) : [];
+  if (chips.length > 0) {
+    messages[messages.length - 1].quickReply = {
+      items: chips.map((chip, index) => ({
+        type: 'action',
+        action: buildAction(chip, `quickReplies[${index}]`, LINE_LIMITS.quickReplyLabelLength)
+      }))
+    };
+  }
+
+  return messages;
+}
+
+module.exports = {
+  LINE_LIMITS,
+  RichReplyError,
+  parseStructuredReply,
+  extractReplyText,
+  buildRichMessages,
+  splitText
+};
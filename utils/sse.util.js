@@ -0,0 +1,75 @@
+/**
+ * Server-Sent Events helper
+ *
+ * Sets the SSE headers, numbers every event with an `id:` field, sends a
+ * heartbeat comment so proxies don't drop idle streams, and aborts the
+ * returned signal when the client disconnects.
+ */
+
+const HEARTBEAT_INTERVAL = 15 * 1000; // 15 seconds
+
+const createEventStream = (res, options = {}) => {
+  const heartbeatInterval = options.heartbeatInterval || HEARTBEAT_INTERVAL;
+  const controller = new AbortController();
+  let eventId = 0;
+  let closed = false;
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx)
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => {
+    if (!closed) {
+      res.write(': heartbeat\n\n');
+    }
+  }, heartbeatInterval);
+
+  // 'close' fires on the response when the connection ends, including client disconnects
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!closed) {
+      closed = true;
+      if (!res.writableFinished) {
+        controller.abort();
+      }
+    }
+  });
+
+  return {
+    signal: controller.signal,
+
+    /**
+     * Whether the client has disconnected
+     */
+    isClosed() {
+      return closed || controller.signal.aborted;
+    },
+
+    /**
+     * Send a named event with a JSON payload
+     */
+    send(event, data) {
+      if (closed) return false;
+      eventId++;
+      res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+
+    /**
+     * End the stream
+     */
+    end() {
+      clearInterval(heartbeat);
+      if (!closed) {
+        closed = true;
+        res.end();
+      }
+    }
+  };
+};
+
+module.exports = {
+  createEventStream
+};